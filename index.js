@@ -1,6 +1,18 @@
 #!/usr/bin/env node
 
 import { WordLearnerREPL } from './src/repl.js';
+import { isOffline, setOffline, detectConnectivity } from './src/network.js';
+import { loadProviderModules } from './src/providers.js';
+
+// --offline skips all remote providers; otherwise check connectivity once
+if (process.argv.includes('--offline')) {
+  setOffline(true, 'flag');
+} else if (!isOffline()) {
+  await detectConnectivity();
+}
+
+// Register custom dictionary providers from WORD_PROVIDER_MODULES
+await loadProviderModules();
 
 const repl = new WordLearnerREPL();
 repl.start();
@@ -0,0 +1,212 @@
+/**
+ * Text analyzer - finds the vocabulary of an article or subtitles the learner does not know yet
+ * Words are lemmatized with ECDICT and classified against the notebook, CET and course
+ * progress and exam tags; coverage is the share of tokens the learner already knows
+ */
+
+import { findWordLemma, getShortGloss } from './ecdict.js';
+import { findIndexEntry, getFrequencyRank } from './search.js';
+import { getProgress, getCategories } from './cet.js';
+import { splitWords, splitSentences } from './text.js';
+
+// Learning level at which a word counts as mastered (see learn.js)
+const MASTERED_LEVEL = 5;
+
+// Untagged words at least this frequent are treated as basic vocabulary
+const BASIC_RANK = 3000;
+
+/**
+ * Word classes, from known to unknown
+ * basic: below CET-4 (中考/高考 words and very common words)
+ */
+export const WORD_CLASSES = ['mastered', 'notebook', 'basic', 'cet4', 'cet6', 'above'];
+
+// Classes the learner is considered to know
+const KNOWN_CLASSES = new Set(['mastered', 'basic']);
+
+/**
+ * Resolve a token to its dictionary lemma
+ * @param {string} token - Lowercase token
+ * @returns {object|null} - Index entry of the lemma, or null if not a dictionary word
+ */
+function resolveToken(token) {
+  const base = token.endsWith("'s") ? token.slice(0, -2) : token;
+  const lemma = findWordLemma(base)?.word || base;
+  return findIndexEntry(lemma) || findIndexEntry(base);
+}
+
+// First gloss line of untagged ECDICT entries that are names ("ross" -> "罗丝（女性名）")
+const NAME_GLOSS = /人名|[男女]性?名|姓氏|地名/;
+
+/**
+ * Check whether an index entry is a personal or place name
+ * @param {object} entry - Index entry
+ * @returns {boolean}
+ */
+function isNameEntry(entry) {
+  return !entry.tag && (/^[A-Z]/.test(entry.word) || NAME_GLOSS.test(getShortGloss(entry)));
+}
+
+/**
+ * Collect the learning levels of notebook, CET and course words
+ * @param {Object} notebook - Notebook instance
+ * @returns {Map<string, number>} - Highest learning level per lowercase word
+ */
+function getLearningLevels(notebook) {
+  const levels = new Map();
+  const record = (word, level) => {
+    const key = word.toLowerCase();
+    levels.set(key, Math.max(levels.get(key) ?? 0, level || 0));
+  };
+
+  for (const category of getCategories()) {
+    try {
+      for (const [word, state] of Object.entries(getProgress(category).words)) {
+        if (state.level >= MASTERED_LEVEL) record(word, state.level);
+      }
+    } catch {
+      // No readable progress for this category
+    }
+  }
+  // Words mastered in any notebook count, not only the active one
+  for (const { name } of notebook.getNotebooks()) {
+    for (const word of notebook.getWords(name)) {
+      record(word.word, word.learning?.level);
+    }
+  }
+  return levels;
+}
+
+/**
+ * Classify a dictionary word for the learner
+ * @param {object} entry - Index entry of the lemma
+ * @param {Map<string, number>} levels - Learning levels from getLearningLevels()
+ * @param {Object} notebook - Notebook instance
+ * @returns {string} - One of WORD_CLASSES
+ */
+function classifyWord(entry, levels, notebook) {
+  if ((levels.get(entry.key) ?? 0) >= MASTERED_LEVEL) return 'mastered';
+  if (notebook.hasWord(entry.key)) return 'notebook';
+  // Contractions (you're, I'm) are forms of basic words
+  if (entry.key.includes("'")) return 'basic';
+
+  const tags = entry.tag.split(/\s+/);
+  if (tags.includes('zk') || tags.includes('gk')) return 'basic';
+  if (tags.includes('cet4')) return 'cet4';
+  if (tags.includes('cet6')) return 'cet6';
+  if (getFrequencyRank(entry) <= BASIC_RANK) return 'basic';
+  return 'above';
+}
+
+/**
+ * Analyze segments of text (sentences of an article, or subtitle cues)
+ * @param {Array<{text: string, time?: string}>} segments - Text segments in order
+ * @param {Object} notebook - Notebook instance
+ * @returns {Object} - See analyzeText()
+ */
+function analyzeSegments(segments, notebook) {
+  const levels = getLearningLevels(notebook);
+  const classes = Object.fromEntries(WORD_CLASSES.map(name => [name, { tokens: 0, words: 0 }]));
+  const words = new Map();
+  const resolved = new Map();
+  let tokenCount = 0;
+  let skipped = 0;
+
+  for (const segment of segments) {
+    // A cue may hold several sentences; name detection needs sentence starts
+    for (const { text: sentence } of splitSentences(segment.text)) {
+      splitWords(sentence).forEach((original, position) => {
+        // Capitalized words inside a sentence are taken as names
+        const token = original.toLowerCase();
+        const isName = position > 0 && original[0] !== token[0] && original !== 'I';
+
+        if (!isName && !resolved.has(token)) {
+          const entry = resolveToken(token);
+          resolved.set(token, entry && !isNameEntry(entry) ? entry : null);
+        }
+        const entry = isName ? null : resolved.get(token);
+
+        // Names, typos and other non-dictionary tokens do not count toward coverage
+        if (!entry) {
+          skipped++;
+          return;
+        }
+        tokenCount++;
+
+        let word = words.get(entry.key);
+        if (!word) {
+          word = {
+            word: entry.word,
+            class: classifyWord(entry, levels, notebook),
+            count: 0,
+            rank: getFrequencyRank(entry),
+            gloss: getShortGloss(entry),
+            sentence: segment.time ? segment.text : sentence,
+            time: segment.time || null,
+            tags: entry.tag
+          };
+          words.set(entry.key, word);
+          classes[word.class].words++;
+        }
+        word.count++;
+        classes[word.class].tokens++;
+      });
+    }
+  }
+
+  const share = count => (tokenCount > 0 ? count / tokenCount : 0);
+  const knownTokens = [...KNOWN_CLASSES].reduce((sum, name) => sum + classes[name].tokens, 0);
+
+  return {
+    tokenCount,
+    skipped,
+    classes,
+    coverage: share(knownTokens),
+    notebookCoverage: share(knownTokens + classes.notebook.tokens),
+    words: [...words.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Analyze a text
+ * @param {string} text - English text
+ * @param {Object} notebook - Notebook instance
+ * @returns {Object} - { tokenCount, skipped, classes: {name: {tokens, words}}, coverage, notebookCoverage, words }
+ *   words: [{ word, class, count, rank, gloss, sentence, time, tags }] for every dictionary word, most frequent first
+ */
+export function analyzeText(text, notebook) {
+  return analyzeSegments(splitSentences(text), notebook);
+}
+
+/**
+ * Analyze subtitle cues; each word keeps the whole cue line and its start time
+ * @param {Array<{text: string, time: string}>} cues - Cues from parseSubtitles()
+ * @param {Object} notebook - Notebook instance
+ * @returns {Object} - See analyzeText()
+ */
+export function analyzeSubtitles(cues, notebook) {
+  return analyzeSegments(cues, notebook);
+}
+
+// Classes offered for learning, from easiest; a level keeps its class and the harder ones
+export const LEARNING_LEVELS = ['cet4', 'cet6', 'above'];
+
+/**
+ * Get the words worth learning from an analysis, hardest classes last
+ * Within a class, words used more often come first, then more frequent words in general
+ * @param {Object} analysis - Result of analyzeText() or analyzeSubtitles()
+ * @param {string} level - Easiest class to include (one of LEARNING_LEVELS, default 'cet4')
+ * @returns {Array<Object>} - Matching words
+ */
+export function getUnknownWords(analysis, level = 'cet4') {
+  if (!LEARNING_LEVELS.includes(level)) {
+    throw new Error(`Unknown level: ${level}. Use one of ${LEARNING_LEVELS.join(', ')}`);
+  }
+
+  const order = LEARNING_LEVELS.slice(LEARNING_LEVELS.indexOf(level));
+  return analysis.words
+    .filter(word => order.includes(word.class))
+    .sort((a, b) => order.indexOf(a.class) - order.indexOf(b.class) || b.count - a.count || a.rank - b.rank);
+}
+
+export default { analyzeText, analyzeSubtitles, getUnknownWords, WORD_CLASSES, LEARNING_LEVELS };
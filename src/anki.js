@@ -0,0 +1,379 @@
+/**
+ * Anki export module - writes words as an .apkg package
+ * An .apkg is a zip of a SQLite collection (collection.anki2) and a media manifest;
+ * the SM-2 learning state can be carried over as Anki review scheduling
+ */
+
+import initSqlJs from 'sql.js';
+import { createHash } from 'crypto';
+import { deflateRawSync } from 'zlib';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fixed ids so re-imported decks update the same note type and deck in Anki
+const MODEL_NAME = 'Word Learner (English → 中文)';
+const FIELD_NAMES = ['Word', 'IPA', 'Meaning', 'Examples', 'Notes'];
+const MAX_DICTIONARY_EXAMPLES = 3;
+
+const CARD_CSS = `.card { font-family: arial, sans-serif; font-size: 20px; text-align: center; color: #222; background: #fff; }
+.word { font-size: 32px; font-weight: bold; }
+.ipa { color: #888; margin-top: 4px; }
+.meaning { margin-top: 12px; }
+.pos { color: #2a7; }
+.examples { text-align: left; font-size: 16px; margin-top: 12px; }
+.zh { color: #666; }
+.notes { text-align: left; font-size: 16px; margin-top: 12px; color: #a60; }`;
+
+const FRONT_TEMPLATE = '<div class="word">{{Word}}</div>\n<div class="ipa">{{IPA}}</div>';
+const BACK_TEMPLATE = `{{FrontSide}}
+<hr id="answer">
+<div class="meaning">{{Meaning}}</div>
+{{#Examples}}<div class="examples">{{Examples}}</div>{{/Examples}}
+{{#Notes}}<div class="notes">{{Notes}}</div>{{/Notes}}`;
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+  models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+  flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+  ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+  odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// Legacy default deck options (Anki fills in anything newer)
+const DEFAULT_DECK_CONFIG = {
+  id: 1, name: 'Default', mod: 0, usn: 0, dyn: false, maxTaken: 60, timer: 0, autoplay: true, replayq: true,
+  new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: false, separate: true },
+  rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: false, hardFactor: 1.2 },
+  lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 }
+};
+
+// ==================== Helpers ====================
+
+/**
+ * Get a stable positive id from text
+ * @param {string} text - Seed text
+ * @returns {number} - Integer below 2^48
+ */
+function stableId(text) {
+  return parseInt(createHash('sha1').update(text).digest('hex').slice(0, 12), 16);
+}
+
+/**
+ * Escape text for a note field
+ * @param {string} text - Plain text
+ * @returns {string} - HTML
+ */
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the Meaning field: the learner's own meaning, then one line per part of speech
+ * @param {Object} word - Word entry
+ * @returns {string} - HTML
+ */
+function formatMeaningField(word) {
+  const lines = (word.definitions || [])
+    .filter(def => def.meaningZh || def.meaning)
+    .map(def => `<span class="pos">${escapeHtml(def.partOfSpeech)}.</span> ${escapeHtml(def.meaningZh || def.meaning)}`);
+  if (word.gloss) {
+    lines.unshift(`<b>${escapeHtml(word.gloss)}</b>`);
+  }
+  return lines.join('<br>');
+}
+
+/**
+ * Build the Examples field: the learner's sentences, then a few dictionary examples
+ * @param {Object} word - Word entry
+ * @returns {string} - HTML (empty if there are no examples)
+ */
+function formatExamplesField(word) {
+  const dictionaryExamples = (word.definitions || [])
+    .flatMap(def => def.examples || [])
+    .slice(0, MAX_DICTIONARY_EXAMPLES);
+  const examples = [...(word.userExamples || []), ...dictionaryExamples];
+  if (examples.length === 0) return '';
+
+  const items = examples.map(example =>
+    `<li>${escapeHtml(example.en)}${example.zh ? `<br><span class="zh">${escapeHtml(example.zh)}</span>` : ''}</li>`
+  );
+  return `<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Build the Notes field from the mnemonic and note
+ * @param {Object} word - Word entry
+ * @returns {string} - HTML (empty if there are none)
+ */
+function formatNotesField(word) {
+  const lines = [];
+  if (word.mnemonic) lines.push(`<b>Mnemonic:</b> ${escapeHtml(word.mnemonic)}`);
+  if (word.note) lines.push(`<b>Note:</b> ${escapeHtml(word.note)}`);
+  return lines.join('<br>');
+}
+
+/**
+ * Format note tags: Anki tags are space-separated and cannot contain spaces
+ * @param {Object} word - Word entry
+ * @returns {string} - " tag1 tag2 " (Anki's stored form) or ''
+ */
+function formatNoteTags(word) {
+  const tags = [...new Set([...(word.userTags || []), ...(word.tags || [])].map(tag => tag.replace(/\s+/g, '_')))];
+  return tags.length > 0 ? ` ${tags.join(' ')} ` : '';
+}
+
+/**
+ * Map an SM-2 learning state to Anki card scheduling
+ * Reviewed words become review cards due on their next review day; the rest stay new
+ * @param {Object|undefined} learning - Learning state
+ * @param {number} crt - Collection creation time (seconds, local midnight today)
+ * @param {number} position - New card position
+ * @returns {Object} - { type, queue, due, ivl, factor, reps, lapses }
+ */
+function getCardSchedule(learning, crt, position) {
+  if (!learning || !learning.reviewCount) {
+    return { type: 0, queue: 0, due: position, ivl: 0, factor: 0, reps: 0, lapses: 0 };
+  }
+
+  const nextReview = learning.nextReviewAt ? new Date(learning.nextReviewAt).getTime() : Date.now();
+  return {
+    type: 2,
+    queue: 2,
+    due: Math.max(0, Math.floor((nextReview - crt * 1000) / DAY_MS)),
+    ivl: Math.max(1, Math.round(learning.interval || 0)),
+    factor: Math.round((learning.easeFactor || 2.5) * 1000),
+    reps: learning.reviewCount,
+    lapses: Math.max(0, learning.reviewCount - (learning.correctCount || 0))
+  };
+}
+
+/**
+ * Build the note type (model) JSON
+ * @param {number} modelId - Model id
+ * @param {number} deckId - Deck new cards go to
+ * @param {number} mod - Modification time (seconds)
+ * @returns {Object}
+ */
+function createModel(modelId, deckId, mod) {
+  return {
+    id: modelId,
+    name: MODEL_NAME,
+    type: 0,
+    mod,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: [{ name: 'English → 中文', ord: 0, qfmt: FRONT_TEMPLATE, afmt: BACK_TEMPLATE, did: null, bqfmt: '', bafmt: '' }],
+    flds: FIELD_NAMES.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+    css: CARD_CSS,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    latexsvg: false,
+    req: [[0, 'any', [0]]],
+    tags: [],
+    vers: []
+  };
+}
+
+/**
+ * Build a deck JSON
+ * @param {number} id - Deck id
+ * @param {string} name - Deck name
+ * @param {number} mod - Modification time (seconds)
+ * @returns {Object}
+ */
+function createDeck(id, name, mod) {
+  return {
+    id, name, mod, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+    extendNew: 0, extendRev: 0, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+  };
+}
+
+// ==================== Zip ====================
+
+// CRC-32 lookup table (zlib.crc32 needs Node 20.15+)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum of a zip entry
+ * @param {Buffer} data - Uncompressed data
+ * @returns {number} - Unsigned checksum
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Get MS-DOS time and date fields for a zip entry
+ * @param {Date} date - Modification time
+ * @returns {{time: number, date: number}}
+ */
+function getDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Write a zip archive with deflated entries
+ * @param {Array<{name: string, data: Buffer}>} files - Entries
+ * @returns {Buffer}
+ */
+function createZip(files) {
+  const { time, date } = getDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBuffer = Buffer.from(name, 'utf-8');
+    const compressed = deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);                  // version needed
+    local.writeUInt16LE(0x0800, 6);              // UTF-8 names
+    local.writeUInt16LE(8, 8);                   // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    localParts.push(local, nameBuffer, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);                // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// ==================== Export ====================
+
+/**
+ * Build an Anki .apkg package from words
+ * One note per word, one card per note (English and IPA on the front; Chinese
+ * meanings, bilingual examples and personal notes on the back)
+ * @param {Array<Object>} words - Word entries (notebook words, or CET words with learning attached)
+ * @param {Object} options - { deckName, progress: true to carry over the SM-2 learning state }
+ * @returns {Promise<Buffer>} - .apkg file content
+ */
+export async function exportAnkiDeck(words, { deckName, progress = false }) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    const now = Date.now();
+    const mod = Math.floor(now / 1000);
+    const midnight = new Date();
+    midnight.setHours(0, 0, 0, 0);
+    const crt = Math.floor(midnight.getTime() / 1000);
+
+    const modelId = stableId(MODEL_NAME);
+    const deckId = stableId(`deck:${deckName}`);
+
+    db.run(SCHEMA);
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      crt, now, now,
+      JSON.stringify({
+        nextPos: words.length + 1, estTimes: true, activeDecks: [deckId], sortType: 'noteFld', timeLim: 0,
+        sortBackwards: false, addToCur: true, curDeck: deckId, newBury: true, newSpread: 0, dueCounts: true,
+        curModel: modelId, collapseTime: 1200
+      }),
+      JSON.stringify({ [modelId]: createModel(modelId, deckId, mod) }),
+      JSON.stringify({ 1: createDeck(1, 'Default', mod), [deckId]: createDeck(deckId, deckName, mod) }),
+      JSON.stringify({ 1: DEFAULT_DECK_CONFIG }),
+      '{}'
+    ]);
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, \'\')');
+
+    db.run('BEGIN');
+    words.forEach((word, i) => {
+      const fields = [
+        escapeHtml(word.word),
+        escapeHtml(word.pronunciation),
+        formatMeaningField(word),
+        formatExamplesField(word),
+        formatNotesField(word)
+      ];
+      const guid = createHash('sha1').update(`word-learner:${word.word.toLowerCase()}`).digest('base64').slice(0, 10);
+      const csum = parseInt(createHash('sha1').update(word.word).digest('hex').slice(0, 8), 16);
+      const schedule = getCardSchedule(progress ? word.learning : null, crt, i + 1);
+
+      // Note and card ids are creation timestamps in Anki; consecutive milliseconds keep them unique
+      insertNote.run([now + i, guid, modelId, mod, formatNoteTags(word), fields.join('\x1f'), word.word, csum]);
+      insertCard.run([
+        now + i, now + i, deckId, mod, schedule.type, schedule.queue, schedule.due,
+        schedule.ivl, schedule.factor, schedule.reps, schedule.lapses
+      ]);
+    });
+    db.run('COMMIT');
+    insertNote.free();
+    insertCard.free();
+
+    return createZip([
+      { name: 'collection.anki2', data: Buffer.from(db.export()) },
+      { name: 'media', data: Buffer.from('{}') }   // no media files
+    ]);
+  } finally {
+    db.close();
+  }
+}
+
+export default { exportAnkiDeck };
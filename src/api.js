@@ -1,101 +1,342 @@
 /**
  * Dictionary API module
- * Uses ECDICT (local) as primary, Free Dictionary API as fallback
- * Fetches example sentences from Free Dictionary API and translates them
+ * Runs the provider pipeline (see providers.js): definitions from the first provider
+ * that knows the word (ECDICT, then Free Dictionary by default), examples from the
+ * example providers tier by tier until enough are collected, then translation
+ * Providers in the same tier run in parallel; remote calls have timeouts and retries
+ * Every fetched example records its source and a quality score (see quality.js)
+ * Fetched examples and online entries are kept in the lookup cache
  */
 
-import { lookupWord } from './ecdict.js';
-import { translateToZh } from './translator.js';
-import { fetchFallbackExamples } from './examples.js';
+import { getShortGloss } from './ecdict.js';
+import { findIndexEntry } from './search.js';
+import { getProviders, callProvider } from './providers.js';
+import { getCached, setCached } from './cache.js';
+import { scoreExamples } from './quality.js';
+import { isOffline } from './network.js';
+import { getCachedTranslation, cacheTranslations } from './translator.js';
 
-const FREE_DICT_API = 'https://api.dictionaryapi.dev/api/v2/entries/en';
+const MIN_EXAMPLES = 3;
+
+// Extra examples requested from a provider in case some are duplicates
+const EXTRA_EXAMPLES = 2;
 
 /**
- * Fetch word data - tries ECDICT first, then Free Dictionary API
+ * Fetch word data from the definition providers in order
+ * Local entries get examples from the example providers; online entries are cached whole
  * @param {string} word - The word to look up
  * @returns {Promise<object|null>} - Word entry or null if not found
  */
 export async function fetchFromApi(word) {
-  // Try ECDICT first (local, has Chinese translations)
-  const ecdictResult = lookupWord(word);
-  if (ecdictResult) {
-    // Tier 1: Fetch examples from Free Dictionary API to supplement ECDICT
-    let examplesByPos = await fetchExamplesFromFreeDictionary(word);
-
-    // Collect Tier 1 examples and count
-    const tier1Examples = examplesByPos.flatMap(e => e.examples);
-    const tier1Count = tier1Examples.length;
-
-    // Tier 2+: If examples < 3, try Wordnik/Azure Dictionary/GPT for more
-    if (tier1Count < 3) {
-      // Pass existing examples to avoid duplicates
-      const existingTexts = tier1Examples.map(e => e.en);
-      const fallback = await fetchFallbackExamples(word, ecdictResult.definitions, tier1Count, existingTexts);
-      if (fallback.examples.length > 0) {
-        examplesByPos.push({ partOfSpeech: 'general', examples: fallback.examples });
+  for (const provider of getProviders('definitions')) {
+    if (provider.remote) {
+      const cachedEntry = await getCachedEntry(word);
+      if (cachedEntry) return cachedEntry;
+    }
+
+    let entry = null;
+    try {
+      entry = await callProvider(provider, 'definitions', word);
+    } catch {
+      continue;
+    }
+    if (!entry) continue;
+
+    if (provider.remote) {
+      entry.synonyms = withGlosses(entry.synonyms || []);
+      entry.antonyms = withGlosses(entry.antonyms || []);
+      for (const def of entry.definitions || []) {
+        markSource(def.examples || [], provider);
       }
+      mergeExamples(entry, []);
+      // Online entries are English only: add Chinese meanings and example translations
+      await translateMeanings(entry);
+      const examples = entry.definitions.flatMap(d => d.examples || []);
+      await translateExamples([{ partOfSpeech: 'general', examples }]);
+      setCached(word, 'entry', entry);
+      return entry;
     }
 
-    if (examplesByPos.length > 0) {
-      // Collect all English examples for batch translation
-      const allExamples = examplesByPos.flatMap(e => e.examples);
-      const translations = await translateToZh(allExamples.map(e => e.en));
+    return addExamples(entry);
+  }
+
+  // Remote providers are skipped offline, but a cached online entry may exist
+  return getCachedEntry(word);
+}
+
+/**
+ * Attach Chinese glosses from ECDICT to related words
+ * @param {Array<string|{word: string, gloss: string}>} words - Related English words
+ * @returns {Array<{word: string, gloss: string}>}
+ */
+function withGlosses(words) {
+  return words.map(item => {
+    if (typeof item !== 'string') return item;
+    const indexEntry = findIndexEntry(item);
+    return { word: item, gloss: indexEntry ? getShortGloss(indexEntry) : '' };
+  });
+}
 
-      // Assign translations back to examples
-      let idx = 0;
-      for (const pos of examplesByPos) {
-        for (const ex of pos.examples) {
-          ex.zh = translations[idx++];
+/**
+ * Merge synonyms and antonyms into a word entry (keeps existing ones)
+ * @param {object} entry - Word entry
+ * @param {{synonyms: string[], antonyms: string[]}|null} relations - Related words
+ */
+function applyRelations(entry, relations) {
+  if (!relations) return;
+  if (!entry.synonyms?.length) entry.synonyms = withGlosses(relations.synonyms);
+  if (!entry.antonyms?.length) entry.antonyms = withGlosses(relations.antonyms);
+}
+
+/**
+ * Record which provider an example came from (keeps a source the provider set itself)
+ * @param {Array<object>} examples - Examples (modified in place)
+ * @param {Object} provider - Provider that returned them
+ */
+function markSource(examples, provider) {
+  for (const ex of examples) {
+    ex.source = ex.source || provider.label || provider.name;
+    if (provider.generated) ex.generated = true;
+  }
+}
+
+/**
+ * Sort examples by quality score, best first (unscored last, original order kept on ties)
+ * @param {Array<object>} examples - Scored examples
+ * @returns {Array<object>} - New sorted array
+ */
+function byScore(examples) {
+  return [...examples].sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+}
+
+/**
+ * Check whether a provider returned any related words
+ * @param {{synonyms: string[], antonyms: string[]}|undefined} relations - Related words
+ * @returns {boolean}
+ */
+function hasRelations(relations) {
+  return Boolean(relations?.synonyms?.length || relations?.antonyms?.length);
+}
+
+/**
+ * Group providers into tiers: adjacent providers with the same tier number run together
+ * @param {Array<Object>} providers - Providers in configured order
+ * @returns {Array<Array<Object>>} - Tiers in order
+ */
+function groupByTier(providers) {
+  const tiers = [];
+  for (const provider of providers) {
+    const last = tiers[tiers.length - 1];
+    if (last && provider.tier !== undefined && last[0].tier === provider.tier) {
+      last.push(provider);
+    } else {
+      tiers.push([provider]);
+    }
+  }
+  return tiers;
+}
+
+/**
+ * Collect examples from the example providers until MIN_EXAMPLES are reached
+ * Providers in a tier are called in parallel; once enough examples are in, the
+ * tier's pending calls are cancelled and later tiers are skipped
+ * Each provider contributes at most its limit (by default, only what is still needed)
+ * @param {string} word - The word
+ * @param {Array} definitions - Definitions (context for Azure Dictionary and GPT)
+ * @param {Array<{en: string}>} existingExamples - Examples the entry already has
+ * @returns {Promise<{examplesByPos: Array, relations: Object|null}>}
+ */
+async function collectExamples(word, definitions, existingExamples) {
+  const seenTexts = new Set(existingExamples.map(e => normalizeText(e.en)));
+  const examplesByPos = [];
+  let relations = null;
+  let count = existingExamples.length;
+
+  // Add a provider's unique examples, up to its limit
+  const addResult = (provider, result) => {
+    if (!relations && hasRelations(result?.relations)) {
+      relations = result.relations;
+    }
+
+    const maxTaken = provider.limit ?? MIN_EXAMPLES - count;
+    let taken = 0;
+    for (const group of result?.examplesByPos || []) {
+      markSource(group.examples, provider);
+      scoreExamples(group.examples, word);
+
+      const examples = [];
+      for (const ex of byScore(group.examples)) {
+        if (taken >= maxTaken) break;
+        const normalizedText = normalizeText(ex.en);
+        if (!seenTexts.has(normalizedText)) {
+          seenTexts.add(normalizedText);
+          examples.push(ex);
+          taken++;
         }
       }
-
-      // Merge examples into ECDICT result
-      mergeExamples(ecdictResult, examplesByPos);
+      if (examples.length > 0) {
+        examplesByPos.push({ partOfSpeech: group.partOfSpeech, examples });
+      }
     }
+    count += taken;
+  };
 
-    return ecdictResult;
+  for (const tier of groupByTier(getProviders('examples'))) {
+    if (count >= MIN_EXAMPLES) break;
+
+    const needed = MIN_EXAMPLES - count;
+    const controller = new AbortController();
+
+    await Promise.all(tier.map(async provider => {
+      const maxTaken = provider.limit ?? needed;
+      if (maxTaken <= 0) return;
+
+      try {
+        const result = await callProvider(provider, 'examples', word, {
+          definitions,
+          limit: Math.min(maxTaken, needed + EXTRA_EXAMPLES),
+          signal: controller.signal
+        });
+        // A faster provider in this tier may already have filled the quota
+        if (count >= MIN_EXAMPLES) return;
+        addResult(provider, result);
+        if (count >= MIN_EXAMPLES) controller.abort();
+      } catch {
+        // Failed or cancelled; other providers may still deliver
+      }
+    }));
   }
 
-  // Fallback to Free Dictionary API (online, English only)
-  return fetchFromFreeDictionary(word);
+  return { examplesByPos, relations };
 }
 
 /**
- * Extract examples grouped by part of speech from Free Dictionary API response
- * @param {object} apiData - Raw API response data
- * @returns {Array<{partOfSpeech: string, examples: Array<{en: string, zh: string}>}>}
+ * Translate texts, reusing cached translations
+ * Texts still missing after one backend are passed to the next
+ * @param {string[]} texts - English texts
+ * @param {Object} options - { style: 'sentence'|'gloss', word } passed to the backends
+ * @returns {Promise<string[]>} - Chinese translations (empty strings where none is available)
  */
-function extractExamples(apiData) {
-  if (!apiData?.length) return [];
-
-  const result = [];
-  for (const meaning of apiData[0].meanings || []) {
-    const examples = [];
-    for (const def of meaning.definitions || []) {
-      if (def.example) {
-        examples.push({ en: def.example, zh: '' });
-      }
+async function translateTexts(texts, options = {}) {
+  const { style = 'sentence', word } = options;
+  const translations = texts.map(text => getCachedTranslation(text, style, word) || '');
+  let missing = [...new Set(texts.filter((_, i) => !translations[i]))];
+
+  for (const provider of getProviders('translate')) {
+    if (missing.length === 0) break;
+
+    try {
+      const result = await callProvider(provider, 'translate', missing, options);
+      if (!Array.isArray(result)) continue;
+      cacheTranslations(missing, result, provider.name, style, word);
+      missing = missing.filter((_, i) => !result[i]);
+    } catch {
+      // Try the next provider
     }
-    if (examples.length > 0) {
-      result.push({ partOfSpeech: meaning.partOfSpeech, examples });
+  }
+
+  return texts.map((text, i) => translations[i] || getCachedTranslation(text, style, word) || '');
+}
+
+/**
+ * Translate sentences (e.g. example sentences taken from the user's own texts)
+ * @param {string[]} sentences - English sentences
+ * @returns {Promise<string[]>} - Chinese translations (empty strings where none is available)
+ */
+export async function translateSentences(sentences) {
+  return translateTexts(sentences);
+}
+
+/**
+ * Fill missing Chinese meanings by translating English definitions as dictionary glosses
+ * Filled meanings are marked machineTranslated
+ * @param {object} entry - Word entry (modified in place)
+ * @returns {Promise<boolean>} - True if any meaning was added
+ */
+async function translateMeanings(entry) {
+  const untranslated = (entry.definitions || []).filter(def => !def.meaningZh && def.meaning);
+  if (untranslated.length === 0) return false;
+
+  const glosses = await translateTexts(untranslated.map(def => def.meaning), { style: 'gloss', word: entry.word });
+  let added = false;
+  untranslated.forEach((def, i) => {
+    if (glosses[i]) {
+      def.meaningZh = glosses[i];
+      def.machineTranslated = true;
+      added = true;
     }
+  });
+  return added;
+}
+
+/**
+ * Get a cached online entry, filling in meanings that could not be translated before
+ * @param {string} word - The word
+ * @returns {Promise<object|null>} - Cached entry or null
+ */
+async function getCachedEntry(word) {
+  const entry = getCached(word, 'entry');
+  if (entry && await translateMeanings(entry)) {
+    setCached(word, 'entry', entry);
   }
-  return result;
+  return entry;
 }
 
 /**
- * Fetch only examples from Free Dictionary API
- * @param {string} word - The word to look up
- * @returns {Promise<Array>} - Examples grouped by part of speech
+ * Batch-translate examples that do not come with a translation
+ * @param {Array} examplesByPos - Examples grouped by part of speech (modified in place)
+ * @returns {Promise<boolean>} - True if any translation was added
  */
-async function fetchExamplesFromFreeDictionary(word) {
-  try {
-    const response = await fetch(`${FREE_DICT_API}/${encodeURIComponent(word)}`);
-    if (!response.ok) return [];
-    return extractExamples(await response.json());
-  } catch {
-    return [];
+async function translateExamples(examplesByPos) {
+  const untranslated = examplesByPos.flatMap(e => e.examples).filter(ex => !ex.zh);
+  if (untranslated.length === 0) return false;
+
+  const translations = await translateTexts(untranslated.map(ex => ex.en));
+  let added = false;
+  untranslated.forEach((ex, i) => {
+    ex.zh = translations[i] || '';
+    added = added || Boolean(ex.zh);
+  });
+  return added;
+}
+
+/**
+ * Add examples and related words to an entry, from the cache or the providers
+ * Fetched examples are translated and cached
+ * @param {object} entry - Word entry with definitions
+ * @returns {Promise<object>} - Same entry, potentially with examples added
+ */
+async function addExamples(entry) {
+  // Reuse previously fetched and translated examples
+  const cachedExamples = getCached(entry.word, 'examples');
+  if (cachedExamples) {
+    // Fill in translations that were unavailable when the examples were cached
+    if (await translateExamples(cachedExamples)) {
+      setCached(entry.word, 'examples', cachedExamples);
+    }
+    mergeExamples(entry, cachedExamples);
+    applyRelations(entry, getCached(entry.word, 'relations'));
+    return entry;
+  }
+
+  const existingExamples = entry.definitions?.flatMap(d => d.examples || []) || [];
+  const { examplesByPos, relations } = await collectExamples(entry.word, entry.definitions || [], existingExamples);
+
+  if (relations) {
+    setCached(entry.word, 'relations', relations);
+    applyRelations(entry, relations);
   }
+
+  if (examplesByPos.length > 0) {
+    await translateExamples(examplesByPos);
+    // Offline results (local providers only) are not cached, so online sources are tried later
+    if (!isOffline()) {
+      setCached(entry.word, 'examples', examplesByPos);
+    }
+    mergeExamples(entry, examplesByPos);
+  }
+
+  return entry;
 }
 
 const MAX_EXAMPLES_PER_DEF = 5;
@@ -109,6 +350,7 @@ function normalizeText(text) {
 
 /**
  * Merge examples into word entry definitions (with deduplication)
+ * Examples are scored if needed and ranked best first within each definition
  * @param {object} entry - Word entry with definitions
  * @param {Array} examplesByPos - Examples grouped by part of speech
  */
@@ -116,10 +358,14 @@ function mergeExamples(entry, examplesByPos) {
   // Collect all existing example texts for deduplication
   const seenTexts = new Set();
   for (const def of entry.definitions) {
+    scoreExamples(def.examples || [], entry.word);
     for (const ex of def.examples || []) {
       seenTexts.add(normalizeText(ex.en));
     }
   }
+  for (const pos of examplesByPos) {
+    scoreExamples(pos.examples, entry.word);
+  }
 
   // Track which examplesByPos entries have been matched
   const matchedPos = new Set();
@@ -136,8 +382,8 @@ function mergeExamples(entry, examplesByPos) {
     );
     if (match && def.examples.length < MAX_EXAMPLES_PER_DEF) {
       matchedPos.add(match.partOfSpeech);
-      // Append new unique examples up to the limit
-      for (const ex of match.examples) {
+      // Append the best new unique examples up to the limit
+      for (const ex of byScore(match.examples)) {
         if (def.examples.length >= MAX_EXAMPLES_PER_DEF) break;
         const normalizedText = normalizeText(ex.en);
         if (!seenTexts.has(normalizedText)) {
@@ -161,7 +407,7 @@ function mergeExamples(entry, examplesByPos) {
     const targetDef = entry.definitions.find(d => (d.examples?.length || 0) < MAX_EXAMPLES_PER_DEF);
     if (targetDef) {
       if (!targetDef.examples) targetDef.examples = [];
-      for (const ex of unmatchedExamples) {
+      for (const ex of byScore(unmatchedExamples)) {
         if (targetDef.examples.length >= MAX_EXAMPLES_PER_DEF) break;
         const normalizedText = normalizeText(ex.en);
         if (!seenTexts.has(normalizedText)) {
@@ -171,91 +417,12 @@ function mergeExamples(entry, examplesByPos) {
       }
     }
   }
-}
-
-/**
- * Fetch from Free Dictionary API (fallback)
- * @param {string} word - The word to look up
- * @returns {Promise<object|null>} - Word entry or null if not found
- */
-async function fetchFromFreeDictionary(word) {
-  try {
-    const response = await fetch(`${FREE_DICT_API}/${encodeURIComponent(word)}`);
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        return null; // Word not found
-      }
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return transformApiResponse(word, data);
-  } catch (error) {
-    if (error.message.includes('fetch')) {
-      console.error('Network error: Please check your internet connection.');
-    }
-    return null;
-  }
-}
-
-/**
- * Transform API response to our dictionary format
- */
-function transformApiResponse(word, apiData) {
-  if (!apiData || !apiData.length) return null;
-
-  const entry = apiData[0];
-
-  // Get pronunciation (prefer US, fallback to first available)
-  let pronunciation = '';
-  if (entry.phonetics && entry.phonetics.length) {
-    const usPhonetic = entry.phonetics.find(p => p.audio?.includes('-us'));
-    const withText = entry.phonetics.find(p => p.text);
-    pronunciation = usPhonetic?.text || withText?.text || entry.phonetic || '';
-  } else if (entry.phonetic) {
-    pronunciation = entry.phonetic;
-  }
-
-  // Get audio URL
-  let audioUrl = '';
-  if (entry.phonetics && entry.phonetics.length) {
-    const withAudio = entry.phonetics.find(p => p.audio && p.audio.length > 0);
-    audioUrl = withAudio?.audio || '';
-  }
-
-  // Transform meanings to our format
-  const definitions = [];
-
-  for (const meaning of entry.meanings || []) {
-    const defs = meaning.definitions || [];
-
-    for (const def of defs.slice(0, 2)) { // Take first 2 definitions per part of speech
-      const examples = [];
-
-      if (def.example) {
-        examples.push({
-          en: def.example,
-          zh: '' // Chinese translation to be added later
-        });
-      }
-
-      definitions.push({
-        partOfSpeech: meaning.partOfSpeech || 'unknown',
-        meaning: def.definition, // English definition (will add Chinese later)
-        meaningZh: '', // Placeholder for Chinese translation
-        examples
-      });
+  for (const def of entry.definitions) {
+    if (def.examples?.length > 1) {
+      def.examples = byScore(def.examples);
     }
   }
-
-  return {
-    word: entry.word || word,
-    pronunciation,
-    audioUrl,
-    definitions,
-    sources: ['Online Dictionary']
-  };
 }
 
 /**
@@ -268,8 +435,6 @@ function countExamples(entry) {
   return entry.definitions.reduce((total, def) => total + (def.examples?.length || 0), 0);
 }
 
-const MIN_EXAMPLES = 3;
-
 /**
  * Enrich a word entry with examples (fetch if fewer than MIN_EXAMPLES)
  * Used by learning session to ensure words have enough examples
@@ -279,54 +444,10 @@ const MIN_EXAMPLES = 3;
 export async function enrichWithExamples(entry) {
   if (!entry?.word) return entry;
 
-  // Collect existing examples from entry
-  const existingExamples = entry.definitions?.flatMap(d => d.examples || []) || [];
-  const existingCount = existingExamples.length;
-
   // Already has enough examples, no need to fetch
-  if (existingCount >= MIN_EXAMPLES) return entry;
-
-  // Build set of existing example texts for deduplication
-  const existingTexts = new Set(existingExamples.map(e => normalizeText(e.en)));
-
-  // Tier 1: Fetch examples from Free Dictionary API
-  let examplesByPos = await fetchExamplesFromFreeDictionary(entry.word);
-
-  // Count only NEW (non-duplicate) examples from Tier 1
-  const tier1Examples = examplesByPos.flatMap(e => e.examples);
-  const uniqueTier1Count = tier1Examples.filter(e => !existingTexts.has(normalizeText(e.en))).length;
-
-  // Total unique count including existing
-  const totalUniqueCount = existingCount + uniqueTier1Count;
-
-  // Tier 2+: If total unique examples < 3, try fallback sources for more
-  if (totalUniqueCount < MIN_EXAMPLES) {
-    // Combine existing and tier1 examples to avoid duplicates in fallback
-    const allExistingTexts = [...existingExamples, ...tier1Examples].map(e => e.en);
-    const fallback = await fetchFallbackExamples(entry.word, entry.definitions, totalUniqueCount, allExistingTexts);
-    if (fallback.examples.length > 0) {
-      examplesByPos.push({ partOfSpeech: 'general', examples: fallback.examples });
-    }
-  }
+  if (countExamples(entry) >= MIN_EXAMPLES) return entry;
 
-  if (examplesByPos.length > 0) {
-    // Collect all English examples for batch translation
-    const allExamples = examplesByPos.flatMap(e => e.examples);
-    const translations = await translateToZh(allExamples.map(e => e.en));
-
-    // Assign translations back to examples
-    let idx = 0;
-    for (const pos of examplesByPos) {
-      for (const ex of pos.examples) {
-        ex.zh = translations[idx++];
-      }
-    }
-
-    // Merge examples into entry
-    mergeExamples(entry, examplesByPos);
-  }
-
-  return entry;
+  return addExamples(entry);
 }
 
-export default { fetchFromApi, enrichWithExamples };
+export default { fetchFromApi, enrichWithExamples, translateSentences };
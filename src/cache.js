@@ -0,0 +1,175 @@
+/**
+ * Lookup cache module - persists fetched examples and online entries per word
+ * Avoids re-hitting remote dictionaries and translators for recent lookups
+ */
+
+import 'dotenv/config';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'data');
+const CACHE_PATH = join(DATA_DIR, 'cache.json');
+
+// Days before a cached record is considered stale (default 30)
+const TTL_DAYS = parseFloat(process.env.WORD_CACHE_TTL_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lazily loaded cache records keyed by lowercase word
+let records = null;
+
+/**
+ * Load cache records from disk on first use
+ * @returns {Object} - Records keyed by lowercase word
+ */
+function getRecords() {
+  if (records) return records;
+
+  try {
+    records = existsSync(CACHE_PATH)
+      ? JSON.parse(readFileSync(CACHE_PATH, 'utf-8')).words || {}
+      : {};
+  } catch {
+    records = {};
+  }
+  return records;
+}
+
+/**
+ * Write cache records to disk
+ */
+function saveRecords() {
+  try {
+    if (!existsSync(DATA_DIR)) {
+      mkdirSync(DATA_DIR, { recursive: true });
+    }
+    writeFileSync(CACHE_PATH, JSON.stringify({ words: getRecords() }), 'utf-8');
+  } catch (error) {
+    console.error(`Failed to save lookup cache: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a record is past its TTL
+ * @param {Object} record - Cache record
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function isExpired(record, now = Date.now()) {
+  return now - new Date(record.cachedAt).getTime() > TTL_DAYS * DAY_MS;
+}
+
+/**
+ * Get a cached value for a word
+ * @param {string} word - The word
+ * @param {string} field - 'examples' (examples grouped by POS) or 'entry' (online-only entry)
+ * @returns {*|null} - Copy of the cached value, or null if missing or expired
+ */
+export function getCached(word, field) {
+  const record = getRecords()[word.toLowerCase()];
+  if (!record || record[field] === undefined || isExpired(record)) {
+    return null;
+  }
+  return structuredClone(record[field]);
+}
+
+/**
+ * Store a value for a word (resets the word's TTL)
+ * @param {string} word - The word
+ * @param {string} field - 'examples' or 'entry'
+ * @param {*} value - Value to cache
+ */
+export function setCached(word, field, value) {
+  const key = word.toLowerCase();
+  const current = getRecords()[key];
+  const record = current && !isExpired(current) ? current : {};
+
+  records[key] = { ...record, [field]: structuredClone(value), cachedAt: new Date().toISOString() };
+  saveRecords();
+}
+
+/**
+ * Remove one word, or every word, from the cache
+ * @param {string} word - Optional word to invalidate (all words if omitted)
+ * @returns {number} - Number of records removed
+ */
+export function clearCache(word = null) {
+  const all = getRecords();
+
+  if (word) {
+    const key = word.toLowerCase();
+    if (!all[key]) return 0;
+    delete all[key];
+    saveRecords();
+    return 1;
+  }
+
+  const count = Object.keys(all).length;
+  records = {};
+  saveRecords();
+  return count;
+}
+
+/**
+ * Remove expired records
+ * @returns {number} - Number of records removed
+ */
+export function pruneCache() {
+  const all = getRecords();
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [key, record] of Object.entries(all)) {
+    if (isExpired(record, now)) {
+      delete all[key];
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    saveRecords();
+  }
+  return removed;
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} - { total, expired, sizeBytes, ttlDays, oldest, newest }
+ */
+export function getCacheStats() {
+  const all = Object.values(getRecords());
+  const now = Date.now();
+  const dates = all.map(r => r.cachedAt).sort();
+
+  return {
+    total: all.length,
+    expired: all.filter(r => isExpired(r, now)).length,
+    sizeBytes: existsSync(CACHE_PATH) ? statSync(CACHE_PATH).size : 0,
+    ttlDays: TTL_DAYS,
+    oldest: dates[0] || null,
+    newest: dates[dates.length - 1] || null
+  };
+}
+
+/**
+ * Describe a word's cache record
+ * @param {string} word - The word
+ * @returns {Object|null} - { word, cachedAt, expired, exampleCount, hasEntry } or null
+ */
+export function getCacheInfo(word) {
+  const record = getRecords()[word.toLowerCase()];
+  if (!record) return null;
+
+  return {
+    word: word.toLowerCase(),
+    cachedAt: record.cachedAt,
+    expired: isExpired(record),
+    exampleCount: (record.examples || []).reduce((n, pos) => n + pos.examples.length, 0),
+    hasEntry: Boolean(record.entry)
+  };
+}
+
+export default { getCached, setCached, clearCache, pruneCache, getCacheStats, getCacheInfo };
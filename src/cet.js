@@ -1,12 +1,14 @@
 /**
  * CET (College English Test) word list extraction and progress management
  * Extracts CET4/CET6 vocabulary from ECDICT and manages learning progress
+ * Custom courses (e.g. words imported from subtitles) use the same word list and progress files
  */
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { DEFAULT_LEARNING } from './learn.js';
+import { getTagName } from './ecdict.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,6 +19,10 @@ const ECDICT_PATH = join(__dirname, '..', 'node_modules/ecdict/data/dict.json');
 // Supported CET categories
 const CATEGORIES = ['cet4', 'cet6'];
 
+// Custom course categories are 'course-<slug>', registered in courses.json
+const COURSE_PREFIX = 'course-';
+const COURSES_PATH = join(DATA_DIR, 'courses.json');
+
 /**
  * Shuffle an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
@@ -40,9 +46,28 @@ function ensureDataDir() {
   }
 }
 
+/**
+ * Check whether a category is a CET category or a registered course
+ * @param {string} category - Category id
+ * @returns {boolean}
+ */
+function isValidCategory(category) {
+  return CATEGORIES.includes(category) || Boolean(getCourseIndex()[category]);
+}
+
+/**
+ * Throw if a category is unknown
+ * @param {string} category - Category id
+ */
+function assertCategory(category) {
+  if (!isValidCategory(category)) {
+    throw new Error(`Invalid category: ${category}. Must be 'cet4', 'cet6' or a course`);
+  }
+}
+
 /**
  * Get file paths for a category
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @returns {Object} - { wordListPath, progressPath }
  */
 function getPaths(category) {
@@ -88,13 +113,11 @@ function parseDefinitions(translation) {
 
 /**
  * Check if word list is already extracted
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @returns {boolean}
  */
 export function isExtracted(category) {
-  if (!CATEGORIES.includes(category)) {
-    throw new Error(`Invalid category: ${category}. Must be 'cet4' or 'cet6'`);
-  }
+  assertCategory(category);
   const { wordListPath } = getPaths(category);
   return existsSync(wordListPath);
 }
@@ -131,8 +154,11 @@ export function extractWordList(category, onProgress = null) {
         word: entry.word,
         pronunciation: entry.phonetic ? `/${entry.phonetic}/` : '',
         definitions: parseDefinitions(entry.translation),
+        tags: tags.filter(tag => getTagName(tag) !== tag).map(getTagName),
         collins: parseInt(entry.collins) || 0,
-        oxford: entry.oxford === '1' || entry.oxford === 1
+        oxford: entry.oxford === '1' || entry.oxford === 1,
+        bnc: parseInt(entry.bnc) || 0,
+        frq: parseInt(entry.frq) || 0
       });
     }
 
@@ -154,13 +180,11 @@ export function extractWordList(category, onProgress = null) {
 
 /**
  * Load word list from file
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @returns {Array|null} - Word list or null if not extracted
  */
 export function getWordList(category) {
-  if (!CATEGORIES.includes(category)) {
-    throw new Error(`Invalid category: ${category}. Must be 'cet4' or 'cet6'`);
-  }
+  assertCategory(category);
 
   const { wordListPath } = getPaths(category);
 
@@ -173,7 +197,7 @@ export function getWordList(category) {
 
 /**
  * Get word count for a category
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @returns {number} - Word count (0 if not extracted)
  */
 export function getWordCount(category) {
@@ -194,17 +218,95 @@ export function getEstimatedCount(category) {
   return estimates[category] || 0;
 }
 
+// ==================== Custom Courses ====================
+
+/**
+ * Load the course registry
+ * @returns {Object} - Course info keyed by course id: { name, source, createdAt, updatedAt }
+ */
+function getCourseIndex() {
+  if (!existsSync(COURSES_PATH)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(COURSES_PATH, 'utf-8')).courses || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Turn a course name into a category id
+ * Letters of any script are kept, so Chinese names stay distinct
+ * @param {string} name - Course name (e.g. "Friends S01E01", "老友记 S01E01")
+ * @returns {string} - Course id (e.g. "course-friends-s01e01", "course-老友记-s01e01")
+ */
+function getCourseId(name) {
+  const slug = name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+  return COURSE_PREFIX + (slug || 'untitled');
+}
+
+/**
+ * Create a course, or add words to the course with the same name
+ * Words already in the course keep their entry; progress is stored per word as for CET
+ * @param {string} name - Course name
+ * @param {Array<Object>} words - Word entries ({ word, pronunciation, definitions, tags, ... })
+ * @param {string} source - Where the words came from (e.g. subtitle file name)
+ * @returns {{category: string, added: number, total: number}}
+ */
+export function createCourse(name, words, source = '') {
+  ensureDataDir();
+
+  const category = getCourseId(name);
+  const index = getCourseIndex();
+  const existing = index[category] ? getWordList(category) || [] : [];
+  const known = new Set(existing.map(w => w.word.toLowerCase()));
+  const added = words.filter(w => !known.has(w.word.toLowerCase()));
+
+  const now = new Date().toISOString();
+  index[category] = {
+    // A name that differs only in case or punctuation adds to the course without renaming it
+    name: index[category]?.name || name,
+    source: source || index[category]?.source || '',
+    createdAt: index[category]?.createdAt || now,
+    updatedAt: now
+  };
+  writeFileSync(COURSES_PATH, JSON.stringify({ courses: index }, null, 2), 'utf-8');
+
+  const { wordListPath } = getPaths(category);
+  writeFileSync(wordListPath, JSON.stringify([...existing, ...added], null, 2), 'utf-8');
+
+  return { category, added: added.length, total: existing.length + added.length };
+}
+
+/**
+ * List custom courses, oldest first
+ * @returns {Array<Object>} - [{ category, name, source, createdAt, count }]
+ */
+export function getCourses() {
+  return Object.entries(getCourseIndex())
+    .map(([category, info]) => ({ category, ...info, count: getWordCount(category) }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Get every category with a progress file: CET-4, CET-6 and custom courses
+ * @returns {string[]}
+ */
+export function getCategories() {
+  return [...CATEGORIES, ...Object.keys(getCourseIndex())];
+}
+
 // ==================== Progress Management ====================
 
 /**
  * Load progress file for a category
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @returns {Object} - Progress data { words: {...}, lastUpdated: ... }
  */
 export function getProgress(category) {
-  if (!CATEGORIES.includes(category)) {
-    throw new Error(`Invalid category: ${category}. Must be 'cet4' or 'cet6'`);
-  }
+  assertCategory(category);
 
   const { progressPath } = getPaths(category);
 
@@ -217,13 +319,11 @@ export function getProgress(category) {
 
 /**
  * Save progress file for a category
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @param {Object} progress - Progress data
  */
 export function saveProgress(category, progress) {
-  if (!CATEGORIES.includes(category)) {
-    throw new Error(`Invalid category: ${category}. Must be 'cet4' or 'cet6'`);
-  }
+  assertCategory(category);
 
   ensureDataDir();
   const { progressPath } = getPaths(category);
@@ -234,7 +334,7 @@ export function saveProgress(category, progress) {
 
 /**
  * Get learning state for a specific word
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @param {string} word - The word
  * @returns {Object} - Learning state (SM-2 fields)
  */
@@ -245,7 +345,7 @@ export function getWordLearningState(category, word) {
 
 /**
  * Update learning state for a specific word
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @param {string} word - The word
  * @param {Object} state - New learning state
  */
@@ -257,7 +357,7 @@ export function updateWordLearningState(category, word, state) {
 
 /**
  * Get words ready for learning session
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @param {number} maxNewWords - Maximum new words to include (default 10)
  * @returns {Array} - Words ready for learning (with learning state attached)
  */
@@ -297,7 +397,7 @@ export function getWordsForLearning(category, maxNewWords = 10) {
 
 /**
  * Get learning statistics for a category
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @returns {Object} - Statistics { total, byLevel, dueToday, newAvailable, mastered }
  */
 export function getLearningStats(category) {
@@ -348,7 +448,7 @@ export function getLearningStats(category) {
 
 /**
  * Get category display name
- * @param {string} category - 'cet4' or 'cet6'
+ * @param {string} category - 'cet4', 'cet6' or a course id
  * @returns {string} - Display name
  */
 export function getCategoryDisplayName(category) {
@@ -356,5 +456,5 @@ export function getCategoryDisplayName(category) {
     cet4: 'CET-4',
     cet6: 'CET-6'
   };
-  return names[category] || category.toUpperCase();
+  return names[category] || getCourseIndex()[category]?.name || category.toUpperCase();
 }
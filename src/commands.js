@@ -2,6 +2,8 @@
  * Command definitions and parser for REPL interface
  */
 
+import { containsChinese } from './reverse.js';
+
 export const COMMANDS = {
   search: {
     aliases: ['s'],
@@ -9,12 +11,48 @@ export const COMMANDS = {
     usage: '/search <word> or /s <word>',
     requiresArgs: true
   },
+  find: {
+    aliases: ['f'],
+    description: 'Find words by wildcard pattern or regex',
+    usage: '/find <pattern> [tag:cet6] [collins:3+] [oxford] [len:5-8] or /f ...',
+    requiresArgs: true
+  },
+  compare: {
+    aliases: ['cmp'],
+    description: 'Compare two or more words side by side',
+    usage: '/compare <word> <word> [...] or /cmp ...',
+    requiresArgs: true
+  },
+  analyze: {
+    aliases: [],
+    description: 'Find unknown vocabulary in a text file or pasted text',
+    usage: '/analyze <file> or /analyze (then paste text)',
+    requiresArgs: false
+  },
+  subtitles: {
+    aliases: ['subs'],
+    description: 'Import vocabulary from an SRT or WebVTT subtitle file',
+    usage: '/subtitles <file> [cet4|cet6|above] or /subs ...',
+    requiresArgs: true
+  },
   notebook: {
     aliases: ['n'],
-    description: 'View saved words',
-    usage: '/notebook or /n',
+    description: 'View saved words or manage named notebooks',
+    usage: '/notebook [list|new|use|rename|delete <name>|copy|move <word> <notebook>] or /n',
     requiresArgs: false
   },
+  export: {
+    aliases: [],
+    description: 'Export a notebook or course to CSV, TSV, JSON or an Anki deck (.apkg)',
+    usage: '/export <file.csv|.tsv|.json|.apkg> [from:<notebook|cet4|cet6|course>] [tag:<tag>] [progress] or /export csv|tsv|json|apkg',
+    requiresArgs: true
+  },
+  import: {
+    aliases: [],
+    description: 'Import words from a CSV, TSV or JSON file into the active notebook',
+    usage: '/import <file> [skip|overwrite|merge]',
+    requiresArgs: true
+  },
   help: {
     aliases: ['h'],
     description: 'Show available commands',
@@ -29,8 +67,20 @@ export const COMMANDS = {
   },
   history: {
     aliases: [],
-    description: 'Show recent search history',
-    usage: '/history',
+    description: 'Show search history (filter: today, week, cet6, or text)',
+    usage: '/history [today|week|<tag>|<text>|clear]',
+    requiresArgs: false
+  },
+  cache: {
+    aliases: [],
+    description: 'Inspect, clear or prune the lookup cache',
+    usage: '/cache [<word>|clear [word]|prune]',
+    requiresArgs: false
+  },
+  offline: {
+    aliases: [],
+    description: 'Show or toggle offline mode',
+    usage: '/offline [on|off]',
     requiresArgs: false
   },
   clear: {
@@ -97,6 +147,11 @@ export function parseInput(input) {
     return { type: 'unknown_command', input: cmdInput };
   }
 
+  // Chinese input: find English words by meaning
+  if (containsChinese(trimmed)) {
+    return { type: 'reverse_search', query: trimmed };
+  }
+
   // Default: treat as word search
   return { type: 'search', word: trimmed };
 }
@@ -0,0 +1,186 @@
+/**
+ * Local corpus module - example sentences mined from the user's own English texts
+ * Point WORD_CORPUS_DIR at a directory of .txt/.md files (textbooks, past papers, articles)
+ * Sentences are indexed by lemma and the index is saved in data/corpus.json,
+ * rebuilt whenever a file is added, removed or changed
+ */
+
+import 'dotenv/config';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative, resolve, extname } from 'path';
+import { findIndexEntry } from './search.js';
+import { tokenize, splitSentences } from './text.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'data');
+const INDEX_PATH = join(DATA_DIR, 'corpus.json');
+
+const CORPUS_DIR = process.env.WORD_CORPUS_DIR
+  ? resolve(join(__dirname, '..'), process.env.WORD_CORPUS_DIR)
+  : null;
+
+const CORPUS_EXTENSIONS = new Set(['.txt', '.md']);
+
+// Sentences outside this length (in words) are not indexed
+const MIN_SENTENCE_WORDS = 5;
+const MAX_SENTENCE_WORDS = 40;
+
+// Lazily loaded index: { fingerprint, files, sentences: [{text, file, line}], lemmas: {lemma: [sentence ids]} }
+let corpusIndex = null;
+
+/**
+ * Check whether a corpus directory is configured
+ * @returns {boolean}
+ */
+export function isCorpusConfigured() {
+  return Boolean(CORPUS_DIR);
+}
+
+/**
+ * List corpus files recursively
+ * @param {string} dir - Directory
+ * @returns {string[]} - Absolute file paths, sorted
+ */
+function listFiles(dir) {
+  const files = [];
+  for (const name of readdirSync(dir)) {
+    if (name.startsWith('.')) continue;
+    const path = join(dir, name);
+    const stats = statSync(path);
+    if (stats.isDirectory()) {
+      files.push(...listFiles(path));
+    } else if (CORPUS_EXTENSIONS.has(extname(name).toLowerCase())) {
+      files.push(path);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Describe the corpus files so changes can be detected
+ * @param {string[]} files - Absolute file paths
+ * @returns {string}
+ */
+function getFingerprint(files) {
+  return files.map(path => {
+    const stats = statSync(path);
+    return `${relative(CORPUS_DIR, path)}:${stats.size}:${stats.mtimeMs}`;
+  }).join('|');
+}
+
+/**
+ * Get the lemma of a token, using ECDICT exchange data
+ * @param {string} token - Lowercase word
+ * @param {Map} memo - Cache of resolved tokens
+ * @returns {string}
+ */
+function toLemma(token, memo) {
+  if (!memo.has(token)) {
+    memo.set(token, findIndexEntry(token)?.lemma || token);
+  }
+  return memo.get(token);
+}
+
+/**
+ * Build the lemma index for the corpus files
+ * @param {string[]} files - Absolute file paths
+ * @param {string} fingerprint - Fingerprint of the files
+ * @returns {Object} - Corpus index
+ */
+function buildIndex(files, fingerprint) {
+  const sentences = [];
+  // No prototype: "constructor" or "toString" in a text is a lemma like any other
+  const lemmas = Object.create(null);
+  const memo = new Map();
+
+  for (const path of files) {
+    let content;
+    try {
+      content = readFileSync(path, 'utf-8');
+    } catch {
+      continue;
+    }
+
+    const file = relative(CORPUS_DIR, path);
+    for (const { text, line } of splitSentences(content)) {
+      const tokens = tokenize(text);
+      if (tokens.length < MIN_SENTENCE_WORDS || tokens.length > MAX_SENTENCE_WORDS) continue;
+
+      const id = sentences.length;
+      sentences.push({ text, file, line, words: tokens.length });
+      for (const lemma of new Set(tokens.map(token => toLemma(token, memo)))) {
+        (lemmas[lemma] ||= []).push(id);
+      }
+    }
+  }
+
+  return { fingerprint, files: files.length, sentences, lemmas };
+}
+
+/**
+ * Load the corpus index, rebuilding it if the corpus changed
+ * @returns {Object|null} - Corpus index, or null if no corpus is configured
+ */
+function getCorpusIndex() {
+  if (!CORPUS_DIR) return null;
+  if (corpusIndex) return corpusIndex;
+
+  let files = [];
+  try {
+    files = listFiles(CORPUS_DIR);
+  } catch (error) {
+    console.error(`Cannot read corpus directory ${CORPUS_DIR}: ${error.message}`);
+  }
+  const fingerprint = getFingerprint(files);
+
+  try {
+    if (existsSync(INDEX_PATH)) {
+      const saved = JSON.parse(readFileSync(INDEX_PATH, 'utf-8'));
+      if (saved.dir === CORPUS_DIR && saved.fingerprint === fingerprint) {
+        corpusIndex = { ...saved, lemmas: Object.assign(Object.create(null), saved.lemmas) };
+        return corpusIndex;
+      }
+    }
+  } catch {
+    // Rebuild below
+  }
+
+  corpusIndex = { dir: CORPUS_DIR, ...buildIndex(files, fingerprint) };
+
+  try {
+    if (!existsSync(DATA_DIR)) {
+      mkdirSync(DATA_DIR, { recursive: true });
+    }
+    writeFileSync(INDEX_PATH, JSON.stringify(corpusIndex), 'utf-8');
+  } catch (error) {
+    console.error(`Failed to save corpus index: ${error.message}`);
+  }
+  return corpusIndex;
+}
+
+/**
+ * Find corpus sentences containing a word in any inflected form
+ * Shorter sentences come first
+ * @param {string} word - The word
+ * @param {number} limit - Maximum number of examples
+ * @returns {Array<{en: string, zh: string, source: string, file: string, line: number}>}
+ */
+export function findCorpusExamples(word, limit = 3) {
+  const index = getCorpusIndex();
+  if (!index) return [];
+
+  const key = word.toLowerCase().trim();
+  const lemma = findIndexEntry(key)?.lemma || key;
+  const ids = index.lemmas[lemma] || [];
+
+  return ids
+    .map(id => index.sentences[id])
+    .sort((a, b) => a.words - b.words)
+    .slice(0, limit)
+    .map(({ text, file, line }) => ({ en: text, zh: '', source: `corpus ${file}:${line}`, file, line }));
+}
+
+export default { isCorpusConfigured, findCorpusExamples };
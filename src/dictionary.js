@@ -3,45 +3,104 @@
  */
 
 import { fetchFromApi } from './api.js';
+import { searchPrefix, findWords, parseFindQuery } from './search.js';
+import { suggestSpelling } from './spelling.js';
+import { reverseLookup } from './reverse.js';
+import { getWordFamily } from './family.js';
+import SearchHistory from './history.js';
 
 class Dictionary {
   constructor() {
-    this.searchHistory = [];
+    this.history = new SearchHistory();
   }
 
   /**
    * Look up a word - uses ECDICT first, then Free Dictionary API
    * @param {string} word - The word to look up
+   * @param {Object} options - { record: false } to skip recording in search history
    * @returns {Promise<object|null>} - Word entry or null
    */
-  async lookup(word) {
+  async lookup(word, { record = true } = {}) {
     const normalizedWord = word.toLowerCase().trim();
 
     const entry = await fetchFromApi(normalizedWord);
 
     if (entry) {
-      this.addToHistory(word);
+      if (record) {
+        this.history.record(entry);
+      }
       return entry;
     }
 
     return null;
   }
 
-  addToHistory(word) {
-    // Remove if already exists
-    this.searchHistory = this.searchHistory.filter(
-      w => w.toLowerCase() !== word.toLowerCase()
-    );
-    // Add to beginning
-    this.searchHistory.unshift(word);
-    // Keep only last 10
-    if (this.searchHistory.length > 10) {
-      this.searchHistory = this.searchHistory.slice(0, 10);
-    }
+  /**
+   * Find ECDICT headwords starting with a prefix
+   * @param {string} prefix - The prefix to search for
+   * @returns {Array<object>} - Ranked index entries (exact match first)
+   */
+  searchPrefix(prefix) {
+    return searchPrefix(prefix);
+  }
+
+  /**
+   * Find ECDICT headwords by wildcard pattern or regex, with filters
+   * @param {string[]} args - Pattern and filter arguments (e.g. ["*tion", "tag:cet6"])
+   * @returns {Array<object>} - Index entries ranked by importance
+   * @throws {Error} - If the pattern or a filter is invalid
+   */
+  find(args) {
+    return findWords(parseFindQuery(args));
+  }
+
+  /**
+   * Find the word family (derivations) of a word
+   * @param {string} word - Any form of the word
+   * @returns {{base: string, members: Array<object>}} - Base form and related index entries
+   */
+  getFamily(word) {
+    return getWordFamily(word);
+  }
+
+  /**
+   * Suggest correctly spelled headwords for a word that was not found
+   * @param {string} word - The misspelled word
+   * @returns {Array<object>} - Ranked index entries
+   */
+  suggest(word) {
+    return suggestSpelling(word);
+  }
+
+  /**
+   * Find English words whose Chinese translation matches the query
+   * @param {string} query - Chinese word or phrase
+   * @returns {Array<object>} - Ranked index entries
+   */
+  reverseLookup(query) {
+    return reverseLookup(query);
+  }
+
+  /**
+   * Get search history, most recent first
+   * @param {string[]} filters - Optional filters ("today", "week", exam tag or text)
+   * @returns {Array<Object>} - History entries { word, count, lastSearchedAt, tags }
+   */
+  getHistory(filters = []) {
+    return this.history.getEntries(filters);
+  }
+
+  /**
+   * Get how many times a word has been looked up
+   * @param {string} word - The word
+   * @returns {number} - Lookup count (0 if never)
+   */
+  getLookupCount(word) {
+    return this.history.getEntry(word)?.count || 0;
   }
 
-  getHistory() {
-    return this.searchHistory;
+  clearHistory() {
+    return this.history.clear();
   }
 }
 
@@ -3,8 +3,29 @@
  * Uses ECDICT database with ~760,000 words and native Chinese translations
  */
 
+import { readFileSync, writeFileSync, existsSync, mkdirSync, openSync, readSync, closeSync } from 'fs';
+import { createRequire } from 'module';
+import { StringDecoder } from 'string_decoder';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
 import { searchWord, findLemma } from 'ecdict';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// ECDICT data shipped with the ecdict package, read once to build the headword index
+const ECDICT_PACKAGE_PATH = require.resolve('ecdict/package.json');
+const ECDICT_DICT_PATH = join(dirname(ECDICT_PACKAGE_PATH), 'data', 'dict.json');
+
+// Compact headword index saved after the first build
+const DATA_DIR = join(__dirname, '..', 'data');
+const HEADWORD_INDEX_PATH = join(DATA_DIR, 'headwords.jsonl');
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+// Lazily loaded headword index (sorted by lowercase key)
+let headwordIndex = null;
+
 /**
  * Tag abbreviation to readable name mapping
  */
@@ -19,6 +40,54 @@ const TAG_NAMES = {
   'gre': 'GRE'
 };
 
+/**
+ * ECDICT exchange type codes to readable inflection names
+ * (0 = lemma and 1 = lemma's inflection type are not displayed)
+ */
+const EXCHANGE_NAMES = {
+  'p': 'past tense',
+  'd': 'past participle',
+  'i': 'present participle',
+  '3': 'third person singular',
+  's': 'plural',
+  'r': 'comparative',
+  't': 'superlative'
+};
+
+/**
+ * Parse ECDICT exchange field into inflected forms
+ * @param {string} exchange - Exchange string like "p:ran/i:running/d:run/3:runs"
+ * @returns {Array<{type: string, name: string, form: string}>} - Inflections in display order
+ */
+function parseExchange(exchange) {
+  if (!exchange) return [];
+
+  const inflections = [];
+  for (const part of exchange.split('/')) {
+    const [type, form] = part.split(':');
+    if (!EXCHANGE_NAMES[type] || !form) continue;
+    inflections.push({ type, name: EXCHANGE_NAMES[type], form });
+  }
+
+  const order = Object.keys(EXCHANGE_NAMES);
+  return inflections.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+}
+
+/**
+ * Describe how a searched word relates to its lemma
+ * E.g., "running" with run's inflections -> "present participle"
+ * @param {string} searched - The word as typed
+ * @param {Array} inflections - Inflections of the lemma from parseExchange()
+ * @returns {string} - Inflection name(s), or 'inflected form' if unknown
+ */
+function describeInflection(searched, inflections) {
+  const key = searched.toLowerCase();
+  const names = inflections
+    .filter(inf => inf.form.toLowerCase().split(',').includes(key))
+    .map(inf => inf.name);
+  return names.length > 0 ? [...new Set(names)].join(' / ') : 'inflected form';
+}
+
 /**
  * Parse ECDICT tags string to array of readable tags
  * @param {string} tagString - Space-separated tags like "gk cet4 cet6 ky toefl gre"
@@ -33,6 +102,32 @@ function parseTags(tagString) {
     .map(tag => TAG_NAMES[tag]);
 }
 
+/**
+ * Get the readable name of an ECDICT tag abbreviation
+ * @param {string} tag - Tag like "cet4" or "zk"
+ * @returns {string} - Readable name like "CET-4" or "中考" (input unchanged if unknown)
+ */
+export function getTagName(tag) {
+  return TAG_NAMES[tag.toLowerCase()] || tag;
+}
+
+/**
+ * Get the exam level of an ECDICT tag string (lower is more basic)
+ * Uses the easiest tag present, in TAG_NAMES order (中考 first, GRE last)
+ * @param {string} tagString - Space-separated tags
+ * @returns {number} - Level index, or Infinity if no exam tag
+ */
+export function getExamLevel(tagString) {
+  if (!tagString) return Infinity;
+
+  const order = Object.keys(TAG_NAMES);
+  const levels = tagString
+    .split(/\s+/)
+    .map(tag => order.indexOf(tag))
+    .filter(level => level >= 0);
+  return levels.length > 0 ? Math.min(...levels) : Infinity;
+}
+
 /**
  * Parse ECDICT definition/translation that uses \n as delimiter
  * @param {string} text - Text with \n delimiters
@@ -134,14 +229,25 @@ export function lookupWord(word) {
   // Parse exam tags
   const tags = parseTags(result.tag);
 
+  // ECDICT resolves inflected forms to their lemma ("mice" -> "mouse")
+  const inflections = parseExchange(result.exchange);
+  const headword = result.word || word;
+  const inflectedFrom = headword.toLowerCase() !== word.toLowerCase()
+    ? { word, form: describeInflection(word, inflections) }
+    : null;
+
   return {
-    word: result.word || word,
+    word: headword,
     pronunciation: result.phonetic ? `/${result.phonetic}/` : '',
     audioUrl: '',
     definitions,
+    inflections,
+    inflectedFrom,
     tags,
     collins: result.collins ? parseInt(result.collins) : null,
     oxford: result.oxford === '1',
+    bnc: parseRank(result.bnc),
+    frq: parseRank(result.frq),
     sources: ['ECDICT']
   };
 }
@@ -155,4 +261,267 @@ export function findWordLemma(word) {
   return findLemma(word, true);
 }
 
-export default { lookupWord, findWordLemma };
+/**
+ * Parse an ECDICT rank field (bnc/frq), where 0 means unranked
+ * @param {string} value - Raw rank string
+ * @returns {number} - Rank, or 0 if unranked
+ */
+function parseRank(value) {
+  return parseInt(value) || 0;
+}
+
+/**
+ * Get the lemma an inflected entry points to (exchange type 0)
+ * @param {string} exchange - Exchange string like "0:run/1:d"
+ * @returns {string|null} - Lemma, or null if the entry is a base form
+ */
+function parseLemma(exchange) {
+  if (!exchange) return null;
+  const part = exchange.split('/').find(p => p.startsWith('0:'));
+  return part ? part.slice(2) : null;
+}
+
+/**
+ * Frequency bands by corpus rank (COCA preferred, BNC as fallback)
+ */
+const FREQUENCY_BANDS = [
+  { maxRank: 1000, name: 'Top 1K' },
+  { maxRank: 3000, name: 'Top 3K' },
+  { maxRank: 5000, name: 'Top 5K' },
+  { maxRank: 10000, name: 'Top 10K' },
+  { maxRank: 20000, name: 'Top 20K' }
+];
+
+/**
+ * Get the frequency band of a word entry
+ * @param {object} entry - Word or index entry with frq/bnc ranks
+ * @returns {string|null} - Band name ('Top 1K' ... 'Rare'), or null if unranked
+ */
+export function getFrequencyBand(entry) {
+  const rank = entry.frq || entry.bnc;
+  if (!rank) return null;
+  const band = FREQUENCY_BANDS.find(b => rank <= b.maxRank);
+  return band ? band.name : 'Rare';
+}
+
+/**
+ * Check whether an entry is a ranked or exam-tagged base form
+ * Only these keep their full translation in the index (reverse lookup and word families use it)
+ * @param {object} entry - Index entry
+ * @returns {boolean}
+ */
+function isCommonBaseForm(entry) {
+  return (!entry.lemma || entry.lemma === entry.key) &&
+    Boolean(entry.frq || entry.bnc || entry.collins || entry.tag);
+}
+
+/**
+ * Read a file in chunks, passing its text on piece by piece
+ * @param {string} path - File path
+ * @param {Function} onText - Callback(text) for each decoded chunk
+ */
+function readChunks(path, onText) {
+  const fd = openSync(path, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  const decoder = new StringDecoder('utf8');
+
+  try {
+    let bytesRead;
+    while ((bytesRead = readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      onText(decoder.write(buffer.subarray(0, bytesRead)));
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Call a function for every entry of the ECDICT dict.json array
+ * Only one entry object is held at a time
+ * @param {string} path - Path of dict.json
+ * @param {Function} onEntry - Callback(entry)
+ */
+function readDictEntries(path, onEntry) {
+  let pending = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  readChunks(path, text => {
+    let start = depth > 0 ? 0 : -1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth++ === 0) start = i;
+      } else if (char === '}' && --depth === 0) {
+        onEntry(JSON.parse(pending + text.slice(start, i + 1)));
+        pending = '';
+        start = -1;
+      }
+    }
+
+    if (depth > 0) {
+      pending += text.slice(start);
+    }
+  });
+}
+
+/**
+ * Call a function for every line of a text file
+ * @param {string} path - File path
+ * @param {Function} onLine - Callback(line)
+ */
+function readLines(path, onLine) {
+  let pending = '';
+  readChunks(path, text => {
+    const lines = (pending + text).split('\n');
+    pending = lines.pop();
+    lines.forEach(onLine);
+  });
+  if (pending) onLine(pending);
+}
+
+/**
+ * Build the headword index from ECDICT
+ * @returns {Array<object>} - Index entries sorted by key
+ */
+function buildHeadwordIndex() {
+  const byKey = new Map();
+
+  readDictEntries(ECDICT_DICT_PATH, entry => {
+    if (!entry.word || !entry.translation) return;
+
+    const key = entry.word.toLowerCase();
+    const existing = byKey.get(key);
+    // Prefer the lowercase spelling when several casings exist
+    if (existing && existing.word === key) return;
+
+    const indexEntry = {
+      word: entry.word,
+      key,
+      gloss: parseMultiline(entry.translation)[0] || '',
+      translation: '',
+      tag: entry.tag || '',
+      collins: parseInt(entry.collins) || 0,
+      oxford: entry.oxford === '1',
+      bnc: parseRank(entry.bnc),
+      frq: parseRank(entry.frq),
+      // Set for inflected forms, e.g. "examples" -> "example"
+      lemma: parseLemma(entry.exchange)
+    };
+    indexEntry.translation = isCommonBaseForm(indexEntry) ? entry.translation : indexEntry.gloss;
+    byKey.set(key, indexEntry);
+  });
+
+  return [...byKey.values()].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+}
+
+/**
+ * Get the installed ecdict package version (a saved index is rebuilt when it changes)
+ * @returns {string}
+ */
+function getEcdictVersion() {
+  return JSON.parse(readFileSync(ECDICT_PACKAGE_PATH, 'utf-8')).version;
+}
+
+/**
+ * Load the saved headword index
+ * The first line is the ecdict version; each further line is one entry as a JSON array:
+ * [word, gloss, translation (empty if same as gloss), tag, collins, oxford, bnc, frq, lemma]
+ * (parsed line by line, so the whole file is never held as one string)
+ * @returns {Array<object>|null} - Index entries, or null if missing, unreadable or outdated
+ */
+function loadHeadwordIndex() {
+  try {
+    if (!existsSync(HEADWORD_INDEX_PATH)) return null;
+
+    const version = getEcdictVersion();
+    const index = [];
+    let current = null;
+
+    readLines(HEADWORD_INDEX_PATH, line => {
+      if (current === null) {
+        current = line === version;
+        return;
+      }
+      if (!current || !line) return;
+
+      const [word, gloss, translation, tag, collins, oxford, bnc, frq, lemma] = JSON.parse(line);
+      index.push({
+        word,
+        key: word.toLowerCase(),
+        gloss,
+        translation: translation || gloss,
+        tag,
+        collins,
+        oxford: oxford === 1,
+        bnc,
+        frq,
+        lemma: lemma || null
+      });
+    });
+
+    return current ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the headword index so later runs skip reading ECDICT
+ * @param {Array<object>} index - Index entries
+ */
+function saveHeadwordIndex(index) {
+  try {
+    if (!existsSync(DATA_DIR)) {
+      mkdirSync(DATA_DIR, { recursive: true });
+    }
+    const lines = index.map(e => JSON.stringify([
+      e.word, e.gloss, e.translation === e.gloss ? '' : e.translation, e.tag,
+      e.collins, e.oxford ? 1 : 0, e.bnc, e.frq, e.lemma || ''
+    ]));
+    writeFileSync(HEADWORD_INDEX_PATH, [getEcdictVersion(), ...lines].join('\n') + '\n', 'utf-8');
+  } catch (error) {
+    console.error(`Failed to save headword index: ${error.message}`);
+  }
+}
+
+/**
+ * Get the headword index, loading the saved copy or building it from ECDICT on first use
+ * Only entries with a Chinese translation are indexed, one per lowercase key.
+ * Each entry has a short gloss; the full translation is kept for ranked or exam-tagged
+ * base forms only (other entries repeat the gloss)
+ * @returns {Array<object>} - Index entries sorted by key
+ */
+export function getHeadwordIndex() {
+  if (headwordIndex) return headwordIndex;
+
+  headwordIndex = loadHeadwordIndex();
+  if (!headwordIndex) {
+    headwordIndex = buildHeadwordIndex();
+    saveHeadwordIndex(headwordIndex);
+  }
+  return headwordIndex;
+}
+
+/**
+ * Get the short Chinese gloss (first translation line) of an index entry
+ * @param {object} indexEntry - Entry from getHeadwordIndex()
+ * @returns {string} - First line of the translation
+ */
+export function getShortGloss(indexEntry) {
+  return indexEntry.gloss;
+}
+
+export default { lookupWord, findWordLemma, getHeadwordIndex, getShortGloss, getExamLevel, getTagName, getFrequencyBand };
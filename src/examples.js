@@ -1,11 +1,12 @@
 /**
- * Fallback example sentence providers
- * Tier 2a: Wordnik API (requires API key, high-quality real-world examples)
- * Tier 2b: Azure Translator Dictionary Examples API (reuses existing Azure credentials)
- * Tier 3: Azure OpenAI GPT-4.1 (generates examples when APIs don't have enough)
+ * Example sentence sources used by the built-in providers (see providers.js)
+ * Wordnik API (requires API key, high-quality real-world examples)
+ * Azure Translator Dictionary Examples API (reuses existing Azure credentials)
+ * Azure OpenAI GPT-4.1 (generates examples when APIs don't have enough)
  */
 
 import 'dotenv/config';
+import { fetchJson } from './http.js';
 
 const WORDNIK_API = 'https://api.wordnik.com/v4/word.json';
 const WORDNIK_KEY = process.env.WORDNIK_API_KEY;
@@ -24,21 +25,16 @@ const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4.1'
  * Fetch examples from Wordnik API (requires API key)
  * @param {string} word - The word to look up
  * @param {number} limit - Maximum number of examples to fetch
+ * @param {Object} options - { signal } to cancel the request
  * @returns {Promise<Array<{en: string, zh: string}>>} - Examples array
+ * @throws {Error} - On network or server errors
  */
-export async function fetchExamplesFromWordnik(word, limit = 3) {
+export async function fetchExamplesFromWordnik(word, limit = 3, { signal } = {}) {
   if (!WORDNIK_KEY) return [];
 
-  try {
-    const url = `${WORDNIK_API}/${encodeURIComponent(word)}/examples?limit=${limit}&api_key=${WORDNIK_KEY}`;
-    const response = await fetch(url);
-    if (!response.ok) return [];
-
-    const data = await response.json();
-    return (data.examples || []).map(ex => ({ en: ex.text, zh: '' }));
-  } catch {
-    return [];
-  }
+  const url = `${WORDNIK_API}/${encodeURIComponent(word)}/examples?limit=${limit}&api_key=${WORDNIK_KEY}`;
+  const data = await fetchJson(url, { signal });
+  return (data?.examples || []).map(ex => ({ en: ex.text, zh: '' }));
 }
 
 /**
@@ -46,9 +42,11 @@ export async function fetchExamplesFromWordnik(word, limit = 3) {
  * @param {string} word - The word to look up
  * @param {Array} definitions - Definitions array containing Chinese translations
  * @param {number} limit - Maximum number of examples to return
+ * @param {Object} options - { signal } to cancel the request
  * @returns {Promise<Array<{en: string, zh: string}>>} - Examples with bilingual sentences
+ * @throws {Error} - On network or server errors
  */
-export async function fetchExamplesFromAzureDict(word, definitions = [], limit = 5) {
+export async function fetchExamplesFromAzureDict(word, definitions = [], limit = 5, { signal } = {}) {
   if (!AZURE_KEY || definitions.length === 0) return [];
 
   // Get Chinese translation from first definition
@@ -59,33 +57,23 @@ export async function fetchExamplesFromAzureDict(word, definitions = [], limit =
   const firstChineseWord = chineseTranslation.split(/[,;，；\s]/)[0].trim();
   if (!firstChineseWord) return [];
 
-  try {
-    const response = await fetch(
-      `${AZURE_DICT_API}?api-version=3.0&from=en&to=zh-Hans`,
-      {
-        method: 'POST',
-        headers: {
-          'Ocp-Apim-Subscription-Key': AZURE_KEY,
-          'Ocp-Apim-Subscription-Region': AZURE_REGION,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify([{ Text: word, Translation: firstChineseWord }])
-      }
-    );
-
-    if (!response.ok) return [];
-
-    const data = await response.json();
-    const examples = data[0]?.examples || [];
-
-    // Transform API response to our format
-    return examples.slice(0, limit).map(ex => ({
-      en: (ex.sourcePrefix + ex.sourceTerm + ex.sourceSuffix).trim(),
-      zh: (ex.targetPrefix + ex.targetTerm + ex.targetSuffix).trim()
-    }));
-  } catch {
-    return [];
-  }
+  const data = await fetchJson(`${AZURE_DICT_API}?api-version=3.0&from=en&to=zh-Hans`, {
+    method: 'POST',
+    headers: {
+      'Ocp-Apim-Subscription-Key': AZURE_KEY,
+      'Ocp-Apim-Subscription-Region': AZURE_REGION,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify([{ Text: word, Translation: firstChineseWord }]),
+    signal
+  });
+  const examples = data?.[0]?.examples || [];
+
+  // Transform API response to our format
+  return examples.slice(0, limit).map(ex => ({
+    en: (ex.sourcePrefix + ex.sourceTerm + ex.sourceSuffix).trim(),
+    zh: (ex.targetPrefix + ex.targetTerm + ex.targetSuffix).trim()
+  }));
 }
 
 /**
@@ -93,9 +81,11 @@ export async function fetchExamplesFromAzureDict(word, definitions = [], limit =
  * @param {string} word - The word to generate examples for
  * @param {Array} definitions - Definitions array for context
  * @param {number} count - Number of examples to generate
+ * @param {Object} options - { signal } to cancel the request
  * @returns {Promise<Array<{en: string, zh: string}>>} - Generated bilingual examples
+ * @throws {Error} - On network or server errors
  */
-export async function fetchExamplesFromGPT(word, definitions = [], count = 3) {
+export async function fetchExamplesFromGPT(word, definitions = [], count = 3, { signal } = {}) {
   if (!AZURE_OPENAI_ENDPOINT || !AZURE_OPENAI_KEY) return [];
 
   // Build context from definitions
@@ -116,129 +106,45 @@ Requirements:
 Return ONLY a JSON array in this exact format, no other text:
 [{"en": "English sentence", "zh": "中文翻译"}]`;
 
+  // Support both full URL (with /openai/deployments/) and base URL formats
+  const url = AZURE_OPENAI_ENDPOINT.includes('/openai/deployments/')
+    ? AZURE_OPENAI_ENDPOINT
+    : `${AZURE_OPENAI_ENDPOINT}/openai/deployments/${AZURE_OPENAI_DEPLOYMENT}/chat/completions?api-version=2024-02-15-preview`;
+
+  const data = await fetchJson(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'api-key': AZURE_OPENAI_KEY
+    },
+    body: JSON.stringify({
+      messages: [
+        { role: 'system', content: 'You are a helpful English teacher. Return only valid JSON arrays.' },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.7,
+      max_tokens: 500
+    }),
+    signal
+  });
+
+  const content = data?.choices?.[0]?.message?.content?.trim();
+  if (!content) return [];
+
+  // Parse JSON response (a malformed reply is not a provider failure)
+  let examples;
   try {
-    // Support both full URL (with /openai/deployments/) and base URL formats
-    const url = AZURE_OPENAI_ENDPOINT.includes('/openai/deployments/')
-      ? AZURE_OPENAI_ENDPOINT
-      : `${AZURE_OPENAI_ENDPOINT}/openai/deployments/${AZURE_OPENAI_DEPLOYMENT}/chat/completions?api-version=2024-02-15-preview`;
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'api-key': AZURE_OPENAI_KEY
-      },
-      body: JSON.stringify({
-        messages: [
-          { role: 'system', content: 'You are a helpful English teacher. Return only valid JSON arrays.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 500
-      })
-    });
-
-    if (!response.ok) return [];
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content?.trim();
-
-    if (!content) return [];
-
-    // Parse JSON response
-    const examples = JSON.parse(content);
-
-    if (!Array.isArray(examples)) return [];
-
-    return examples
-      .filter(ex => ex.en && ex.zh)
-      .slice(0, count)
-      .map(ex => ({ en: ex.en.trim(), zh: ex.zh.trim() }));
+    examples = JSON.parse(content);
   } catch {
     return [];
   }
-}
 
-const MIN_EXAMPLES = 3;
+  if (!Array.isArray(examples)) return [];
 
-/**
- * Normalize example text for comparison (lowercase, trim, remove extra spaces)
- * @param {string} text - Text to normalize
- * @returns {string} - Normalized text
- */
-function normalizeText(text) {
-  return text.toLowerCase().trim().replace(/\s+/g, ' ');
-}
-
-/**
- * Deduplicate examples based on English sentence
- * @param {Array<{en: string, zh: string}>} examples - Examples to deduplicate
- * @param {Set<string>} existingKeys - Set of already seen normalized English sentences
- * @returns {Array<{en: string, zh: string}>} - Deduplicated examples
- */
-function deduplicateExamples(examples, existingKeys = new Set()) {
-  const result = [];
-  for (const ex of examples) {
-    const key = normalizeText(ex.en);
-    if (!existingKeys.has(key)) {
-      existingKeys.add(key);
-      result.push(ex);
-    }
-  }
-  return result;
+  return examples
+    .filter(ex => ex.en && ex.zh)
+    .slice(0, count)
+    .map(ex => ({ en: ex.en.trim(), zh: ex.zh.trim() }));
 }
 
-/**
- * Main fallback function: Tier 2a (Wordnik), Tier 2b (Azure Dictionary), Tier 3 (GPT-4.1)
- * Continues fetching from multiple sources until MIN_EXAMPLES (3) are collected
- * (Tier 1 Free Dictionary is handled in api.js before calling this)
- * @param {string} word - The word to get examples for
- * @param {Array} definitions - Definitions array (needed for Azure Dictionary and GPT)
- * @param {number} currentCount - Number of examples already collected from previous tiers
- * @param {Array<string>} existingExamples - Existing example sentences to avoid duplicates
- * @returns {Promise<{examples: Array<{en: string, zh: string}>, sources: string[]}>}
- */
-export async function fetchFallbackExamples(word, definitions = [], currentCount = 0, existingExamples = []) {
-  const allExamples = [];
-  const sources = [];
-  const needed = MIN_EXAMPLES - currentCount;
-
-  if (needed <= 0) {
-    return { examples: [], sources: [] };
-  }
-
-  // Track seen examples to avoid duplicates
-  const seenKeys = new Set(existingExamples.map(normalizeText));
-
-  // Tier 2a: Try Wordnik if API key is configured
-  const wordnikExamples = await fetchExamplesFromWordnik(word, needed + 2); // Fetch extra in case of duplicates
-  const uniqueWordnik = deduplicateExamples(wordnikExamples, seenKeys);
-  if (uniqueWordnik.length > 0) {
-    allExamples.push(...uniqueWordnik);
-    sources.push('Wordnik');
-  }
-
-  // Tier 2b: Try Azure Translator Dictionary if still need more examples
-  if (allExamples.length < needed) {
-    const azureLimit = (needed - allExamples.length) + 2; // Fetch extra in case of duplicates
-    const azureExamples = await fetchExamplesFromAzureDict(word, definitions, azureLimit);
-    const uniqueAzure = deduplicateExamples(azureExamples, seenKeys);
-    if (uniqueAzure.length > 0) {
-      allExamples.push(...uniqueAzure);
-      sources.push('Azure Dictionary');
-    }
-  }
-
-  // Tier 3: Generate with GPT-4.1 if still need more examples
-  if (allExamples.length < needed) {
-    const gptLimit = (needed - allExamples.length) + 1; // Fetch extra in case of duplicates
-    const gptExamples = await fetchExamplesFromGPT(word, definitions, gptLimit);
-    const uniqueGpt = deduplicateExamples(gptExamples, seenKeys);
-    if (uniqueGpt.length > 0) {
-      allExamples.push(...uniqueGpt);
-      sources.push('GPT-4.1');
-    }
-  }
-
-  return { examples: allExamples.slice(0, needed), sources };
-}
+export default { fetchExamplesFromWordnik, fetchExamplesFromAzureDict, fetchExamplesFromGPT };
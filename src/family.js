@@ -0,0 +1,149 @@
+/**
+ * Word family module - finds derivations of a word (decide -> decision, decisive, undecided)
+ * Uses affix analysis over ECDICT headwords; exchange data resolves inflected forms to lemmas
+ */
+
+import { getHeadwordIndex } from './ecdict.js';
+import { compareByImportance, findIndexEntry } from './search.js';
+
+const MAX_MEMBERS = 15;
+const MIN_STEM_LENGTH = 3;
+
+// Short base words match too many unrelated headwords ("the" -> "theory"),
+// so their members must also share a Chinese character with the base gloss
+const SHORT_BASE_LENGTH = 4;
+const GLOSS_STOP_CHARS = new Set('的地得之者性化使人一不被等');
+
+// Derivational prefixes (at most one per member)
+const PREFIXES = ['un', 'in', 'im', 'il', 'ir', 'dis', 'mis', 'non', 're', 'pre', 'over', 'under', 'counter', 'anti'];
+
+// Derivational suffixes, including forms with a dropped final e (iv, at) so they can chain
+const SUFFIXES = [
+  'ation', 'ition', 'tion', 'sion', 'ion', 'ive', 'iv', 'ity', 'ly', 'ness', 'ment',
+  'able', 'ible', 'abil', 'ibil', 'al', 'ful', 'less', 'ous', 'ize', 'ise', 'ate', 'at',
+  'ence', 'ance', 'ent', 'ant', 'ism', 'ist', 'ic', 'ical', 'er', 'or', 'ed', 'ing',
+  'ery', 'ship', 'hood', 'ward', 'ee'
+];
+const MAX_SUFFIX_CHAIN = 3;
+
+// Final-letter alternations between a verb and its derivations (decide -> decision)
+const STEM_ALTERNATIONS = [
+  [/de$/, 's'],     // decide -> decis(ion), divide -> divis(ion)
+  [/d$/, 's'],      // extend -> extens(ion)
+  [/t$/, 'ss'],     // permit -> permiss(ion)
+  [/eive$/, 'ept'], // receive -> recept(ion)
+  [/y$/, 'i'],      // happy -> happi(ness)
+  [/ce$/, 't']      // produce -> product(ion)
+];
+
+// Lazily built list of common base-form headwords
+let familyCandidates = null;
+
+/**
+ * Get ranked or exam-tagged single-word base forms
+ * Inflected forms (exchange type 0 points elsewhere) are excluded
+ * @returns {Array<object>} - Index entries
+ */
+function getCandidates() {
+  if (familyCandidates) return familyCandidates;
+
+  familyCandidates = getHeadwordIndex().filter(entry =>
+    /^[a-z]+$/.test(entry.key) &&
+    (!entry.lemma || entry.lemma === entry.key) &&
+    Boolean(entry.frq || entry.bnc || entry.collins || entry.tag)
+  );
+  return familyCandidates;
+}
+
+/**
+ * Get the stems a word's derivations may be built on
+ * @param {string} word - Lowercase base form
+ * @returns {string[]} - Stems (word itself, without final e, alternations)
+ */
+function getStems(word) {
+  const stems = new Set([word]);
+
+  if (word.endsWith('e')) stems.add(word.slice(0, -1));
+
+  for (const [pattern, replacement] of STEM_ALTERNATIONS) {
+    if (pattern.test(word)) {
+      stems.add(word.replace(pattern, replacement));
+    }
+  }
+
+  return [...stems].filter(stem => stem.length >= MIN_STEM_LENGTH);
+}
+
+/**
+ * Check whether text is a chain of known suffixes (e.g. "ively" = "ive" + "ly")
+ * @param {string} text - Remainder after the stem
+ * @param {number} depth - Suffixes allowed
+ * @returns {boolean}
+ */
+function isSuffixChain(text, depth = MAX_SUFFIX_CHAIN) {
+  if (text === '') return true;
+  if (depth === 0) return false;
+  return SUFFIXES.some(suffix => text.startsWith(suffix) && isSuffixChain(text.slice(suffix.length), depth - 1));
+}
+
+/**
+ * Check whether a candidate is a derivation of any stem: [prefix] stem [suffixes]
+ * @param {string} candidate - Lowercase headword
+ * @param {string[]} stems - Stems from getStems()
+ * @returns {boolean}
+ */
+function isDerivation(candidate, stems) {
+  const bodies = [candidate];
+  for (const prefix of PREFIXES) {
+    if (candidate.startsWith(prefix)) {
+      bodies.push(candidate.slice(prefix.length));
+    }
+  }
+
+  return bodies.some(body =>
+    stems.some(stem => body.startsWith(stem) && isSuffixChain(body.slice(stem.length)))
+  );
+}
+
+/**
+ * Get the meaningful Chinese characters of a translation
+ * @param {string} translation - ECDICT translation
+ * @returns {Set<string>}
+ */
+function getGlossChars(translation) {
+  const chars = translation.replace(/\[[^\]]*\]/g, '').match(/[\u4e00-\u9fff]/g) || [];
+  return new Set(chars.filter(c => !GLOSS_STOP_CHARS.has(c)));
+}
+
+/**
+ * Find the word family of a word
+ * @param {string} word - Any form of the word (inflected forms resolve to the lemma)
+ * @returns {{base: string, members: Array<object>}} - Base form and related index entries
+ */
+export function getWordFamily(word) {
+  const key = word.toLowerCase().trim();
+  const indexEntry = findIndexEntry(key);
+  const base = indexEntry?.lemma || key;
+
+  if (!/^[a-z]+$/.test(base)) {
+    return { base, members: [] };
+  }
+
+  const stems = getStems(base);
+  let members = getCandidates().filter(
+    candidate => candidate.key !== base && isDerivation(candidate.key, stems)
+  );
+
+  if (base.length <= SHORT_BASE_LENGTH) {
+    const baseEntry = base === key ? indexEntry : findIndexEntry(base);
+    const baseChars = getGlossChars(baseEntry?.translation || '');
+    members = members.filter(m => [...getGlossChars(m.translation)].some(c => baseChars.has(c)));
+  }
+
+  return {
+    base,
+    members: members.sort(compareByImportance).slice(0, MAX_MEMBERS)
+  };
+}
+
+export default { getWordFamily };
@@ -0,0 +1,148 @@
+/**
+ * Free Dictionary API module (dictionaryapi.dev)
+ * Provides English-only entries for words missing from ECDICT,
+ * plus example sentences and synonyms/antonyms for ECDICT words
+ */
+
+import { fetchJson } from './http.js';
+
+const FREE_DICT_API = 'https://api.dictionaryapi.dev/api/v2/entries/en';
+
+const MAX_RELATIONS = 8;
+
+/**
+ * Extract examples grouped by part of speech from Free Dictionary API response
+ * @param {object} apiData - Raw API response data
+ * @returns {Array<{partOfSpeech: string, examples: Array<{en: string, zh: string}>}>}
+ */
+function extractExamples(apiData) {
+  if (!apiData?.length) return [];
+
+  const result = [];
+  for (const meaning of apiData[0].meanings || []) {
+    const examples = [];
+    for (const def of meaning.definitions || []) {
+      if (def.example) {
+        examples.push({ en: def.example, zh: '' });
+      }
+    }
+    if (examples.length > 0) {
+      result.push({ partOfSpeech: meaning.partOfSpeech, examples });
+    }
+  }
+  return result;
+}
+
+/**
+ * Extract synonyms and antonyms from Free Dictionary API response
+ * Collected from both meaning and definition level, single words first
+ * @param {object} apiData - Raw API response data
+ * @returns {{synonyms: string[], antonyms: string[]}}
+ */
+function extractRelations(apiData) {
+  const synonyms = new Set();
+  const antonyms = new Set();
+
+  for (const meaning of apiData?.[0]?.meanings || []) {
+    for (const source of [meaning, ...(meaning.definitions || [])]) {
+      (source.synonyms || []).forEach(w => synonyms.add(w));
+      (source.antonyms || []).forEach(w => antonyms.add(w));
+    }
+  }
+
+  const rank = words => [...words]
+    .sort((a, b) => a.includes(' ') - b.includes(' '))
+    .slice(0, MAX_RELATIONS);
+
+  return { synonyms: rank(synonyms), antonyms: rank(antonyms) };
+}
+
+/**
+ * Fetch examples and related words from Free Dictionary API
+ * @param {string} word - The word to look up
+ * @param {Object} options - { signal } to cancel the request
+ * @returns {Promise<{examplesByPos: Array, relations: Object}>} - Examples grouped by part of speech, synonyms/antonyms
+ * @throws {Error} - On network or server errors
+ */
+export async function fetchExamplesFromFreeDictionary(word, { signal } = {}) {
+  const data = await fetchJson(`${FREE_DICT_API}/${encodeURIComponent(word)}`, { signal });
+  return { examplesByPos: extractExamples(data), relations: extractRelations(data) };
+}
+
+/**
+ * Fetch a word entry from Free Dictionary API
+ * @param {string} word - The word to look up
+ * @param {Object} options - { signal } to cancel the request
+ * @returns {Promise<object|null>} - Word entry or null if not found
+ * @throws {Error} - On network or server errors
+ */
+export async function fetchFromFreeDictionary(word, { signal } = {}) {
+  const data = await fetchJson(`${FREE_DICT_API}/${encodeURIComponent(word)}`, { signal });
+  return transformApiResponse(word, data);
+}
+
+/**
+ * Transform API response to our dictionary format
+ * Synonyms and antonyms are plain words; glosses are attached by api.js
+ */
+function transformApiResponse(word, apiData) {
+  if (!apiData || !apiData.length) return null;
+
+  const entry = apiData[0];
+
+  // Get pronunciation (prefer US, fallback to first available)
+  let pronunciation = '';
+  if (entry.phonetics && entry.phonetics.length) {
+    const usPhonetic = entry.phonetics.find(p => p.audio?.includes('-us'));
+    const withText = entry.phonetics.find(p => p.text);
+    pronunciation = usPhonetic?.text || withText?.text || entry.phonetic || '';
+  } else if (entry.phonetic) {
+    pronunciation = entry.phonetic;
+  }
+
+  // Get audio URL
+  let audioUrl = '';
+  if (entry.phonetics && entry.phonetics.length) {
+    const withAudio = entry.phonetics.find(p => p.audio && p.audio.length > 0);
+    audioUrl = withAudio?.audio || '';
+  }
+
+  // Transform meanings to our format
+  const definitions = [];
+
+  for (const meaning of entry.meanings || []) {
+    const defs = meaning.definitions || [];
+
+    for (const def of defs.slice(0, 2)) { // Take first 2 definitions per part of speech
+      const examples = [];
+
+      if (def.example) {
+        examples.push({
+          en: def.example,
+          zh: '' // Chinese translation to be added later
+        });
+      }
+
+      definitions.push({
+        partOfSpeech: meaning.partOfSpeech || 'unknown',
+        meaning: def.definition, // English definition (will add Chinese later)
+        meaningZh: '', // Placeholder for Chinese translation
+        examples
+      });
+    }
+  }
+
+  const relations = extractRelations(apiData);
+
+  return {
+    word: entry.word || word,
+    pronunciation,
+    audioUrl,
+    definitions,
+    synonyms: relations.synonyms,
+    antonyms: relations.antonyms,
+    sources: ['Online Dictionary']
+  };
+}
+
+export default { fetchFromFreeDictionary, fetchExamplesFromFreeDictionary };
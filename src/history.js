@@ -0,0 +1,140 @@
+/**
+ * Search history module - persists looked-up words with timestamps and counts
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getTagName } from './ecdict.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'data');
+const MAX_ENTRIES = 500;
+
+// Lookups after which a word is offered for saving to the notebook
+export const REPEAT_THRESHOLD = 3;
+
+/**
+ * Normalize a tag for filtering ("CET-6" and "cet6" both become "cet6")
+ * @param {string} tag - Tag name
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+  return tag.toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Check whether a date falls on the same local day as now
+ * @param {Date} date - Date to check
+ * @param {Date} now - Current date
+ * @returns {boolean}
+ */
+function isSameDay(date, now) {
+  return date.toDateString() === now.toDateString();
+}
+
+class SearchHistory {
+  constructor() {
+    this.filePath = join(DATA_DIR, 'history.json');
+    this.entries = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (existsSync(this.filePath)) {
+        const data = JSON.parse(readFileSync(this.filePath, 'utf-8'));
+        this.entries = data.entries || [];
+      }
+    } catch (error) {
+      this.entries = [];
+    }
+  }
+
+  save() {
+    try {
+      if (!existsSync(DATA_DIR)) {
+        mkdirSync(DATA_DIR, { recursive: true });
+      }
+      writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2), 'utf-8');
+      return true;
+    } catch (error) {
+      console.error(`Failed to save search history: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Record a lookup, moving the word to the front of the history
+   * @param {Object} wordEntry - Word entry that was found
+   * @returns {Object} - Updated history entry
+   */
+  record(wordEntry) {
+    const now = new Date().toISOString();
+    const index = this.entries.findIndex(
+      e => e.word.toLowerCase() === wordEntry.word.toLowerCase()
+    );
+
+    const entry = index >= 0
+      ? this.entries.splice(index, 1)[0]
+      : { word: wordEntry.word, count: 0, firstSearchedAt: now };
+
+    entry.count++;
+    entry.lastSearchedAt = now;
+    entry.tags = wordEntry.tags || entry.tags || [];
+
+    this.entries.unshift(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries = this.entries.slice(0, MAX_ENTRIES);
+    }
+
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Get a word's history entry
+   * @param {string} word - The word
+   * @returns {Object|null} - History entry or null if never looked up
+   */
+  getEntry(word) {
+    return this.entries.find(e => e.word.toLowerCase() === word.toLowerCase()) || null;
+  }
+
+  /**
+   * Get history entries, most recent first, optionally filtered
+   * Filters: "today", "week", an exam tag ("cet6", "CET-4", "中考") or word text
+   * @param {string[]} filters - Filter terms (all must match)
+   * @returns {Array<Object>} - Matching history entries
+   */
+  getEntries(filters = []) {
+    const now = new Date();
+    const weekAgo = now.getTime() - 7 * 24 * 60 * 60 * 1000;
+
+    return this.entries.filter(entry => filters.every(filter => {
+      const term = filter.toLowerCase();
+      const searchedAt = new Date(entry.lastSearchedAt);
+
+      if (term === 'today') return isSameDay(searchedAt, now);
+      if (term === 'week') return searchedAt.getTime() >= weekAgo;
+
+      const tags = (entry.tags || []).map(normalizeTag);
+      if (tags.includes(normalizeTag(getTagName(term)))) return true;
+
+      return entry.word.toLowerCase().includes(term);
+    }));
+  }
+
+  /**
+   * Remove all history entries
+   * @returns {boolean} - Success
+   */
+  clear() {
+    this.entries = [];
+    return this.save();
+  }
+}
+
+export default SearchHistory;
@@ -0,0 +1,29 @@
+/**
+ * HTTP helpers for remote providers
+ * Errors carry the HTTP status and whether retrying may help
+ */
+
+/**
+ * Fetch a URL and parse the JSON response
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch() options (method, headers, body, signal)
+ * @returns {Promise<*|null>} - Parsed JSON, or null on 404
+ * @throws {Error} - On network errors and other non-OK responses (error.status, error.retryable)
+ */
+export async function fetchJson(url, options = {}) {
+  const response = await fetch(url, options);
+
+  if (response.status === 404) return null;
+
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+    error.status = response.status;
+    // Rate limits and server errors are worth retrying, other client errors are not
+    error.retryable = response.status === 429 || response.status >= 500;
+    throw error;
+  }
+
+  return response.json();
+}
+
+export default { fetchJson };
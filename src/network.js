@@ -0,0 +1,69 @@
+/**
+ * Network mode module - tracks whether remote providers may be used
+ * Offline mode is set by the --offline flag, WORD_LEARNER_OFFLINE=1 in .env,
+ * automatic detection at startup, or the /offline command
+ */
+
+import 'dotenv/config';
+import { lookup } from 'dns/promises';
+
+// Host resolved at startup to detect connectivity
+const PROBE_HOST = 'api.dictionaryapi.dev';
+const PROBE_TIMEOUT_MS = 2000;
+
+const OFFLINE_CONFIG = ['1', 'true', 'yes'].includes(
+  (process.env.WORD_LEARNER_OFFLINE || '').toLowerCase()
+);
+
+let offline = OFFLINE_CONFIG;
+let offlineReason = OFFLINE_CONFIG ? 'config' : null;
+
+/**
+ * Check whether remote providers should be skipped
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return offline;
+}
+
+/**
+ * Get why offline mode is active
+ * @returns {string|null} - 'flag', 'config', 'detected', 'manual' or null when online
+ */
+export function getOfflineReason() {
+  return offlineReason;
+}
+
+/**
+ * Turn offline mode on or off
+ * @param {boolean} value - True to go offline
+ * @param {string} reason - Why offline mode was set
+ */
+export function setOffline(value, reason = 'manual') {
+  offline = value;
+  offlineReason = value ? reason : null;
+}
+
+/**
+ * Detect connectivity by resolving a provider host with a short timeout
+ * Switches to offline mode if the host cannot be resolved
+ * @returns {Promise<boolean>} - True if online
+ */
+export async function detectConnectivity() {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('timeout')), PROBE_TIMEOUT_MS);
+  });
+
+  try {
+    await Promise.race([lookup(PROBE_HOST), timeout]);
+    return true;
+  } catch {
+    setOffline(true, 'detected');
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export default { isOffline, getOfflineReason, setOffline, detectConnectivity };
@@ -6,10 +6,155 @@ import { DEFAULT_LEARNING, LEVEL_NAMES } from './learn.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Name of the notebook that holds words saved before named notebooks existed
+export const DEFAULT_NOTEBOOK = 'My Notebook';
+
+// ==================== Tags ====================
+
+/**
+ * Normalize a user tag for storage ("#Word Roots" becomes "word-roots")
+ * @param {string} tag - Tag as typed
+ * @returns {string} - Normalized tag (empty if nothing is left)
+ */
+export function normalizeTag(tag) {
+  return tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Get the comparison key of a tag, so "CET-6", "cet6" and "#cet_6" match
+ * @param {string} tag - User or exam tag
+ * @returns {string}
+ */
+function tagKey(tag) {
+  return normalizeTag(tag).replace(/[-_]/g, '');
+}
+
+/**
+ * Parse tags typed by the user, separated by spaces or commas
+ * @param {string} text - E.g. "gre, #verbs phrasal"
+ * @returns {string[]} - Unique normalized tags
+ */
+export function parseTags(text) {
+  return [...new Set(text.split(/[\s,]+/).map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Check whether a word carries every tag; exam tags (CET-6, GRE) count as tags too
+ * @param {Object} word - Notebook word
+ * @param {string[]} tags - Tags to match (all must match; none matches every word)
+ * @returns {boolean}
+ */
+export function matchesTags(word, tags = []) {
+  if (tags.length === 0) return true;
+  const keys = new Set([...(word.userTags || []), ...(word.tags || [])].map(tagKey));
+  return tags.every(tag => keys.has(tagKey(tag)));
+}
+
+/**
+ * Suggest tags for a word from its ECDICT exam tags, leaving out tags it already has
+ * @param {Object} word - Word entry
+ * @returns {string[]} - E.g. ["cet6", "gre"]
+ */
+export function getSuggestedTags(word) {
+  const current = new Set((word.userTags || []).map(tagKey));
+  return (word.tags || []).map(tagKey).filter(tag => tag && !current.has(tag));
+}
+
+// ==================== Notebook ====================
+
+// Personal text fields of a saved word; gloss is the learner's own Chinese meaning, shown instead of meaningZh
+export const PERSONAL_FIELDS = ['gloss', 'mnemonic', 'note'];
+
+// What importWords() does with a word that is already saved
+export const DUPLICATE_POLICIES = ['skip', 'overwrite', 'merge'];
+
+/**
+ * Build a stored notebook entry from a word entry (new learning state, no personal fields)
+ * @param {Object} wordEntry - Word entry from a lookup
+ * @param {string} source - Where the word came from (defaults to the entry's first source)
+ * @returns {Object} - Stored entry
+ */
+function createEntry(wordEntry, source) {
+  return {
+    word: wordEntry.word,
+    pronunciation: wordEntry.pronunciation || '',
+    definitions: wordEntry.definitions || [],
+    inflections: wordEntry.inflections || [],
+    synonyms: wordEntry.synonyms || [],
+    antonyms: wordEntry.antonyms || [],
+    tags: wordEntry.tags || [],
+    userTags: [],
+    collins: wordEntry.collins || 0,
+    oxford: Boolean(wordEntry.oxford),
+    bnc: wordEntry.bnc || 0,
+    frq: wordEntry.frq || 0,
+    source: source || (wordEntry.sources ? wordEntry.sources[0] : 'Unknown'),
+    addedAt: new Date().toISOString(),
+    learning: { ...DEFAULT_LEARNING }
+  };
+}
+
+/**
+ * Build a stored entry from an imported word, keeping its tags, learning state and personal fields
+ * @param {Object} item - Imported word (stored-entry fields; missing ones get defaults)
+ * @param {string} source - Source for words that do not name one
+ * @returns {Object} - Stored entry
+ */
+function createImportedEntry(item, source) {
+  const entry = createEntry(item, item.source || source);
+  entry.userTags = parseTags((item.userTags || []).join(' '));
+  entry.learning = { ...DEFAULT_LEARNING, ...item.learning };
+  if (item.addedAt) entry.addedAt = item.addedAt;
+
+  for (const field of PERSONAL_FIELDS) {
+    if (item[field]) entry[field] = item[field];
+  }
+  if (item.userExamples?.length) {
+    entry.userExamples = item.userExamples;
+  }
+  return entry;
+}
+
+/**
+ * Merge an imported word into a saved one
+ * The saved entry wins; the import adds tags, parts of speech, examples and empty fields
+ * @param {Object} saved - Stored entry (changed in place)
+ * @param {Object} imported - Entry from createImportedEntry()
+ */
+function mergeEntry(saved, imported) {
+  saved.userTags = parseTags([...(saved.userTags || []), ...imported.userTags].join(' '));
+  saved.pronunciation = saved.pronunciation || imported.pronunciation;
+
+  const partsOfSpeech = new Set(saved.definitions.map(def => def.partOfSpeech));
+  saved.definitions.push(...imported.definitions.filter(def => !partsOfSpeech.has(def.partOfSpeech)));
+
+  for (const field of PERSONAL_FIELDS) {
+    if (!saved[field] && imported[field]) saved[field] = imported[field];
+  }
+
+  const sentences = new Set((saved.userExamples || []).map(example => example.en));
+  const examples = (imported.userExamples || []).filter(example => !sentences.has(example.en));
+  if (examples.length > 0) {
+    saved.userExamples = [...(saved.userExamples || []), ...examples];
+  }
+}
+
+/**
+ * Create an empty named notebook
+ * @param {string} name - Notebook name
+ * @param {Array} words - Initial words
+ * @returns {Object} - { name, createdAt, words }
+ */
+function createNotebookData(name, words = []) {
+  return { name, createdAt: new Date().toISOString(), words };
+}
+
 class Notebook {
   constructor() {
     this.filePath = join(__dirname, '..', 'notebook.json');
-    this.words = [];
+    this.notebooks = [];
+    this.activeName = DEFAULT_NOTEBOOK;
+    this.words = []; // Words of the active notebook
     this.load();
   }
 
@@ -17,13 +162,22 @@ class Notebook {
     try {
       if (existsSync(this.filePath)) {
         const data = JSON.parse(readFileSync(this.filePath, 'utf-8'));
-        this.words = data.words || [];
+        // Files written before named notebooks hold a single word list
+        this.notebooks = data.notebooks || [createNotebookData(DEFAULT_NOTEBOOK, data.words || [])];
+        this.activeName = data.active || this.notebooks[0]?.name;
         // Migrate existing entries to include learning field
         this.migrateWords();
       }
     } catch (error) {
-      this.words = [];
+      this.notebooks = [];
     }
+
+    if (this.notebooks.length === 0) {
+      this.notebooks = [createNotebookData(DEFAULT_NOTEBOOK)];
+    }
+    const active = this.findNotebook(this.activeName) || this.notebooks[0];
+    this.activeName = active.name;
+    this.words = active.words;
   }
 
   /**
@@ -31,7 +185,7 @@ class Notebook {
    */
   migrateWords() {
     let needsSave = false;
-    for (const word of this.words) {
+    for (const word of this.notebooks.flatMap(n => n.words)) {
       if (!word.learning) {
         word.learning = { ...DEFAULT_LEARNING };
         needsSave = true;
@@ -56,7 +210,8 @@ class Notebook {
 
   save() {
     try {
-      writeFileSync(this.filePath, JSON.stringify({ words: this.words }, null, 2), 'utf-8');
+      const data = { active: this.activeName, notebooks: this.notebooks };
+      writeFileSync(this.filePath, JSON.stringify(data, null, 2), 'utf-8');
       return true;
     } catch (error) {
       console.error(`Failed to save notebook: ${error.message}`);
@@ -64,20 +219,200 @@ class Notebook {
     }
   }
 
-  addWord(wordEntry, source) {
+  // ==================== Named Notebooks ====================
+
+  /**
+   * Find a notebook by name (case-insensitive)
+   * @param {string} name - Notebook name
+   * @returns {Object|null} - Notebook data { name, createdAt, words }
+   */
+  findNotebook(name) {
+    const key = (name || '').trim().toLowerCase();
+    return this.notebooks.find(n => n.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Find a notebook by name, throwing if it does not exist
+   * @param {string} name - Notebook name
+   * @returns {Object} - Notebook data
+   */
+  requireNotebook(name) {
+    const notebook = this.findNotebook(name);
+    if (!notebook) {
+      throw new Error(`No notebook named "${name}"`);
+    }
+    return notebook;
+  }
+
+  /**
+   * Check a new notebook name
+   * @param {string} name - Proposed name
+   * @param {Object} current - Notebook being renamed (may keep its own name)
+   * @returns {string} - Trimmed name
+   */
+  validateName(name, current = null) {
+    const trimmed = (name || '').trim().replace(/\s+/g, ' ');
+    if (!trimmed) {
+      throw new Error('Notebook name cannot be empty');
+    }
+    const existing = this.findNotebook(trimmed);
+    if (existing && existing !== current) {
+      throw new Error(`A notebook named "${existing.name}" already exists`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Get the name of the active notebook
+   * @returns {string}
+   */
+  getActiveName() {
+    return this.activeName;
+  }
+
+  /**
+   * List notebooks in creation order
+   * @returns {Array<Object>} - [{ name, count, active }]
+   */
+  getNotebooks() {
+    return this.notebooks.map(n => ({
+      name: n.name,
+      count: n.words.length,
+      active: n.name === this.activeName
+    }));
+  }
+
+  /**
+   * Create a notebook and make it active
+   * @param {string} name - Notebook name
+   * @returns {string} - Name as stored
+   */
+  createNotebook(name) {
+    const notebook = createNotebookData(this.validateName(name));
+    this.notebooks.push(notebook);
+    this.useNotebook(notebook.name);
+    return notebook.name;
+  }
+
+  /**
+   * Make a notebook active; saving, removing and learning then use it
+   * @param {string} name - Notebook name
+   * @returns {string} - Name as stored
+   */
+  useNotebook(name) {
+    const notebook = this.requireNotebook(name);
+    this.activeName = notebook.name;
+    this.words = notebook.words;
+    this.save();
+    return notebook.name;
+  }
+
+  /**
+   * Rename a notebook
+   * @param {string} newName - New name
+   * @param {string} name - Notebook to rename (active notebook if omitted)
+   * @returns {string} - New name as stored
+   */
+  renameNotebook(newName, name = this.activeName) {
+    const notebook = this.requireNotebook(name);
+    const wasActive = notebook.name === this.activeName;
+
+    notebook.name = this.validateName(newName, notebook);
+    if (wasActive) {
+      this.activeName = notebook.name;
+    }
+    this.save();
+    return notebook.name;
+  }
+
+  /**
+   * Delete a notebook and its words; the last notebook cannot be deleted
+   * If the active notebook is deleted, the first remaining one becomes active
+   * @param {string} name - Notebook name
+   * @returns {string} - Name of the deleted notebook
+   */
+  deleteNotebook(name) {
+    const notebook = this.requireNotebook(name);
+    if (this.notebooks.length === 1) {
+      throw new Error('Cannot delete the only notebook');
+    }
+
+    this.notebooks = this.notebooks.filter(n => n !== notebook);
+    if (notebook.name === this.activeName) {
+      this.activeName = this.notebooks[0].name;
+      this.words = this.notebooks[0].words;
+    }
+    this.save();
+    return notebook.name;
+  }
+
+  /**
+   * Copy or move a word from the active notebook to another notebook
+   * A moved word keeps its learning state; a copy starts fresh in the target
+   * @param {string} wordText - The word
+   * @param {string} targetName - Target notebook name
+   * @param {Object} options - { move: true } to remove the word from the active notebook
+   * @returns {string} - Target notebook name as stored
+   */
+  transferWord(wordText, targetName, { move = false } = {}) {
+    const target = this.requireNotebook(targetName);
+    const key = wordText.toLowerCase();
+    const word = this.words.find(w => w.word.toLowerCase() === key);
+
+    if (!word) {
+      throw new Error(`"${wordText}" is not in "${this.activeName}"`);
+    }
+    if (target.name === this.activeName) {
+      throw new Error(`"${word.word}" is already in "${target.name}"`);
+    }
+    if (target.words.some(w => w.word.toLowerCase() === key)) {
+      throw new Error(`"${word.word}" is already in "${target.name}"`);
+    }
+
+    if (move) {
+      target.words.push(word);
+      this.words.splice(this.words.indexOf(word), 1);
+    } else {
+      target.words.push({ ...structuredClone(word), learning: { ...DEFAULT_LEARNING } });
+    }
+    this.save();
+    return target.name;
+  }
+
+  /**
+   * Get the word list of a notebook
+   * @param {string|null} name - Notebook name (active notebook if omitted)
+   * @returns {Array} - Words (the stored array)
+   */
+  getNotebookWords(name = null) {
+    return name ? this.requireNotebook(name).words : this.words;
+  }
+
+  // ==================== Words ====================
+
+  /**
+   * Save a word to the active notebook (replacing a saved entry, but keeping its tags and personal fields)
+   * @param {Object} wordEntry - Word entry from a lookup
+   * @param {string} source - Where the word came from (defaults to the entry's first source)
+   * @param {string[]} userTags - Tags to attach
+   * @returns {boolean} - Success
+   */
+  addWord(wordEntry, source, userTags = []) {
     // Check if word already exists
     const existingIndex = this.words.findIndex(
       w => w.word.toLowerCase() === wordEntry.word.toLowerCase()
     );
+    const existing = existingIndex >= 0 ? this.words[existingIndex] : {};
 
-    const entry = {
-      word: wordEntry.word,
-      pronunciation: wordEntry.pronunciation,
-      definitions: wordEntry.definitions,
-      source: source || (wordEntry.sources ? wordEntry.sources[0] : 'Unknown'),
-      addedAt: new Date().toISOString(),
-      learning: { ...DEFAULT_LEARNING }
-    };
+    const entry = createEntry(wordEntry, source);
+    entry.userTags = parseTags([...(existing.userTags || []), ...userTags].join(' '));
+
+    for (const field of PERSONAL_FIELDS) {
+      if (existing[field]) entry[field] = existing[field];
+    }
+    if (existing.userExamples?.length) {
+      entry.userExamples = existing.userExamples;
+    }
 
     if (existingIndex >= 0) {
       // Update existing entry
@@ -91,19 +426,60 @@ class Notebook {
   }
 
   removeWord(word) {
-    const initialLength = this.words.length;
-    this.words = this.words.filter(
-      w => w.word.toLowerCase() !== word.toLowerCase()
+    const index = this.words.findIndex(
+      w => w.word.toLowerCase() === word.toLowerCase()
     );
 
-    if (this.words.length < initialLength) {
+    if (index >= 0) {
+      // Remove in place: this.words is the active notebook's stored array
+      this.words.splice(index, 1);
       return this.save();
     }
     return false;
   }
 
-  getWords() {
-    return this.words;
+  /**
+   * Import words into the active notebook
+   * @param {Array<Object>} items - Imported words (stored-entry fields; missing ones get defaults)
+   * @param {string} policy - What to do with words already saved: 'skip', 'overwrite' or 'merge'
+   * @param {string} source - Source for words that do not name one
+   * @returns {{added: number, skipped: number, overwritten: number, merged: number}}
+   */
+  importWords(items, policy = 'skip', source = 'Import') {
+    if (!DUPLICATE_POLICIES.includes(policy)) {
+      throw new Error(`Unknown duplicate policy: ${policy}. Use ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+
+    const result = { added: 0, skipped: 0, overwritten: 0, merged: 0 };
+    for (const item of items) {
+      const entry = createImportedEntry(item, source);
+      const index = this.words.findIndex(w => w.word.toLowerCase() === entry.word.toLowerCase());
+
+      if (index < 0) {
+        this.words.push(entry);
+        result.added++;
+      } else if (policy === 'overwrite') {
+        this.words[index] = entry;
+        result.overwritten++;
+      } else if (policy === 'merge') {
+        mergeEntry(this.words[index], entry);
+        result.merged++;
+      } else {
+        result.skipped++;
+      }
+    }
+
+    this.save();
+    return result;
+  }
+
+  /**
+   * Get the words of a notebook
+   * @param {string|null} name - Notebook name (active notebook if omitted)
+   * @returns {Array}
+   */
+  getWords(name = null) {
+    return this.getNotebookWords(name);
   }
 
   hasWord(word) {
@@ -112,17 +488,127 @@ class Notebook {
     );
   }
 
+  /**
+   * Get a saved word from the active notebook
+   * @param {string} word - The word
+   * @returns {Object|null} - Stored entry or null
+   */
+  getWord(word) {
+    return this.words.find(w => w.word.toLowerCase() === word.toLowerCase()) || null;
+  }
+
+  /**
+   * Get a saved word from the active notebook, throwing if it is not saved
+   * @param {string} wordText - The word
+   * @returns {Object} - Stored entry
+   */
+  requireWord(wordText) {
+    const word = this.getWord(wordText);
+    if (!word) {
+      throw new Error(`"${wordText}" is not in "${this.activeName}"`);
+    }
+    return word;
+  }
+
+  /**
+   * Add and remove user tags on a saved word
+   * @param {string} wordText - The word (in the active notebook)
+   * @param {string[]} add - Tags to add
+   * @param {string[]} remove - Tags to remove
+   * @returns {string[]} - The word's tags after the change
+   */
+  tagWord(wordText, add = [], remove = []) {
+    const word = this.requireWord(wordText);
+
+    const removed = new Set(remove.map(tagKey));
+    word.userTags = parseTags([...(word.userTags || []), ...add].join(' '))
+      .filter(tag => !removed.has(tagKey(tag)));
+    this.save();
+    return word.userTags;
+  }
+
+  /**
+   * Set or clear a personal field on a saved word
+   * @param {string} wordText - The word (in the active notebook)
+   * @param {string} field - One of PERSONAL_FIELDS
+   * @param {string} value - New text (empty clears the field)
+   * @returns {Object} - Stored entry
+   */
+  setPersonalField(wordText, field, value) {
+    if (!PERSONAL_FIELDS.includes(field)) {
+      throw new Error(`Unknown field: ${field}`);
+    }
+
+    const word = this.requireWord(wordText);
+    const text = (value || '').trim();
+    if (text) {
+      word[field] = text;
+    } else {
+      delete word[field];
+    }
+    this.save();
+    return word;
+  }
+
+  /**
+   * Add a user-written example sentence to a saved word
+   * @param {string} wordText - The word (in the active notebook)
+   * @param {string} en - English sentence
+   * @param {string} zh - Optional Chinese translation
+   * @returns {Object} - Stored entry
+   */
+  addUserExample(wordText, en, zh = '') {
+    const word = this.requireWord(wordText);
+    word.userExamples = [...(word.userExamples || []), { en: en.trim(), zh: zh.trim() }];
+    this.save();
+    return word;
+  }
+
+  /**
+   * Remove a user-written example sentence
+   * @param {string} wordText - The word (in the active notebook)
+   * @param {number} index - Zero-based example index
+   * @returns {Object} - Stored entry
+   */
+  removeUserExample(wordText, index) {
+    const word = this.requireWord(wordText);
+    if (!word.userExamples?.[index]) {
+      throw new Error(`No example ${index + 1} for "${word.word}"`);
+    }
+    word.userExamples.splice(index, 1);
+    this.save();
+    return word;
+  }
+
+  /**
+   * Count how many words carry each user tag
+   * @param {string|null} name - Notebook name (active notebook if omitted)
+   * @returns {Array<{tag: string, count: number}>} - Most used first
+   */
+  getTagCounts(name = null) {
+    const counts = new Map();
+    for (const word of this.getNotebookWords(name)) {
+      for (const tag of word.userTags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    return [...counts].map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
   /**
    * Get words that are due for learning/review
    * @param {number} maxNewWords - Maximum new words to include (default 10)
+   * @param {string|null} name - Notebook name (active notebook if omitted)
+   * @param {string[]} tags - Only include words with all of these tags
    * @returns {Array} - Words ready for learning session
    */
-  getWordsForLearning(maxNewWords = 10) {
+  getWordsForLearning(maxNewWords = 10, name = null, tags = []) {
     const now = new Date();
     const dueWords = [];
     const newWords = [];
 
-    for (const word of this.words) {
+    for (const word of this.getNotebookWords(name).filter(w => matchesTags(w, tags))) {
       this.ensureLearningFields(word);
       const { learning } = word;
 
@@ -147,10 +633,11 @@ class Notebook {
    * Update learning state for a word
    * @param {string} wordText - The word to update
    * @param {Object} learningState - New learning state
+   * @param {string|null} name - Notebook name (active notebook if omitted)
    * @returns {boolean} - Success
    */
-  updateWordLearning(wordText, learningState) {
-    const word = this.words.find(
+  updateWordLearning(wordText, learningState, name = null) {
+    const word = this.getNotebookWords(name).find(
       w => w.word.toLowerCase() === wordText.toLowerCase()
     );
 
@@ -162,12 +649,15 @@ class Notebook {
   }
 
   /**
-   * Get learning statistics for all words
+   * Get learning statistics for all words of a notebook
+   * @param {string|null} name - Notebook name (active notebook if omitted)
+   * @param {string[]} tags - Only count words with all of these tags
    * @returns {Object} - Statistics by level
    */
-  getLearningStats() {
+  getLearningStats(name = null, tags = []) {
+    const words = this.getNotebookWords(name).filter(w => matchesTags(w, tags));
     const stats = {
-      total: this.words.length,
+      total: words.length,
       byLevel: [0, 0, 0, 0, 0, 0], // Counts for levels 0-5
       dueToday: 0,
       newAvailable: 0
@@ -175,7 +665,7 @@ class Notebook {
 
     const now = new Date();
 
-    for (const word of this.words) {
+    for (const word of words) {
       this.ensureLearningFields(word);
       const { learning } = word;
 
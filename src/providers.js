@@ -0,0 +1,404 @@
+/**
+ * Provider registry - pluggable sources for definitions, examples and translations
+ *
+ * A provider is an object with a name and one or more capabilities:
+ *   {
+ *     name: 'my-dict',                  // Unique id used in configuration
+ *     label: 'My Dictionary',           // Shown to users as the source
+ *     remote: true,                     // Skipped in offline mode
+ *     limit: 3,                         // Optional default max examples taken
+ *     tier: 2,                          // Optional; adjacent example providers sharing a tier run in parallel
+ *     timeout: 8000,                    // Optional per-call timeout in ms
+ *     generated: false,                 // True if examples are machine-written, not citations
+ *     isConfigured: () => true,         // Optional, e.g. checks for an API key
+ *     definitions: async (word, { signal }) => entry | null,
+ *     examples: async (word, { definitions, limit, signal }) =>
+ *       ({ examplesByPos: [{ partOfSpeech, examples: [{ en, zh }] }], relations }),
+ *     translate: async (texts, { signal, style, word }) => string[]   // style: 'sentence' or 'gloss'
+ *   }
+ *
+ * Providers should honor the abort signal and throw on network or server errors;
+ * failed calls are retried with backoff, and a provider that keeps failing is
+ * skipped for the rest of the session (circuit breaker)
+ *
+ * Configuration (.env):
+ *   WORD_DEFINITION_PROVIDERS, WORD_EXAMPLE_PROVIDERS, WORD_TRANSLATION_PROVIDERS
+ *     Comma-separated order; registered providers not listed run after the listed ones
+ *   WORD_DISABLED_PROVIDERS   Comma-separated names to skip
+ *   WORD_PROVIDER_LIMITS      Max examples taken per provider, e.g. "wordnik:5,gpt:2"
+ *   WORD_PROVIDER_TIMEOUT_MS  Default per-call timeout (default 8000)
+ *   WORD_PROVIDER_TIMEOUTS    Per-provider timeouts in ms, e.g. "gpt:20000"
+ *   WORD_PROVIDER_RETRIES     Retries after a failed call (default 2)
+ *   WORD_PROVIDER_MODULES     Comma-separated ES modules (relative to the project root)
+ *                             whose default export is a provider or an array of providers
+ */
+
+import 'dotenv/config';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, resolve } from 'path';
+import { lookupWord } from './ecdict.js';
+import { fetchFromFreeDictionary, fetchExamplesFromFreeDictionary } from './freedict.js';
+import { fetchExamplesFromWordnik, fetchExamplesFromAzureDict, fetchExamplesFromGPT } from './examples.js';
+import { translateToZh, translateWithOpenAI, translateWithLocal } from './translator.js';
+import { isCorpusConfigured, findCorpusExamples } from './corpus.js';
+import { isOffline } from './network.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PROJECT_ROOT = resolve(__dirname, '..');
+
+const CAPABILITIES = ['definitions', 'examples', 'translate'];
+
+// .env variable holding the provider order for each capability
+const ORDER_ENV = {
+  definitions: 'WORD_DEFINITION_PROVIDERS',
+  examples: 'WORD_EXAMPLE_PROVIDERS',
+  translate: 'WORD_TRANSLATION_PROVIDERS'
+};
+
+// Registered providers in registration order
+const providers = [];
+
+/**
+ * Split a comma-separated .env value
+ * @param {string} value - Raw value
+ * @returns {string[]} - Trimmed, non-empty items
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse per-provider numbers ("wordnik:5,gpt:2")
+ * @param {string} value - Raw value
+ * @returns {Object} - Numbers keyed by provider name
+ */
+function parseLimits(value) {
+  const limits = {};
+  for (const item of parseList(value)) {
+    const [name, limit] = item.split(':');
+    const parsed = parseInt(limit);
+    if (name && Number.isFinite(parsed) && parsed >= 0) {
+      limits[name.trim()] = parsed;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Parse a non-negative integer from .env
+ * @param {string} value - Raw value
+ * @param {number} fallback - Default if missing or invalid
+ * @returns {number}
+ */
+function parseCount(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const DISABLED = new Set(parseList(process.env.WORD_DISABLED_PROVIDERS));
+const LIMITS = parseLimits(process.env.WORD_PROVIDER_LIMITS);
+const TIMEOUTS = parseLimits(process.env.WORD_PROVIDER_TIMEOUTS);
+const DEFAULT_TIMEOUT_MS = parseCount(process.env.WORD_PROVIDER_TIMEOUT_MS, 8000);
+const RETRIES = parseCount(process.env.WORD_PROVIDER_RETRIES, 2);
+
+// Backoff before retry n is BACKOFF_BASE_MS * 2^n, plus jitter
+const BACKOFF_BASE_MS = 300;
+
+// Consecutive failed calls (after retries) before a provider is skipped for the session
+const BREAKER_THRESHOLD = 3;
+
+// Consecutive failures per provider name, and names whose breaker has tripped
+const failures = new Map();
+const trippedProviders = new Set();
+
+/**
+ * Wrap a flat list of examples as a single 'general' group
+ * @param {Array<{en: string, zh: string}>} examples - Examples
+ * @returns {{examplesByPos: Array}}
+ */
+function asGeneral(examples) {
+  return {
+    examplesByPos: examples.length > 0 ? [{ partOfSpeech: 'general', examples }] : []
+  };
+}
+
+/**
+ * Register a provider
+ * A provider with the same name replaces the existing one (keeping its position)
+ * @param {Object} provider - Provider object (see module comment)
+ * @throws {Error} - If the provider has no name or no capability
+ */
+export function registerProvider(provider) {
+  if (!provider?.name) {
+    throw new Error('Provider must have a name');
+  }
+  if (!CAPABILITIES.some(capability => typeof provider[capability] === 'function')) {
+    throw new Error(`Provider "${provider.name}" must implement ${CAPABILITIES.join(', ')} or a combination`);
+  }
+
+  const index = providers.findIndex(p => p.name === provider.name);
+  if (index >= 0) {
+    providers[index] = provider;
+  } else {
+    providers.push(provider);
+  }
+}
+
+/**
+ * Get the providers to use for a capability, in configured order
+ * Skips disabled and unconfigured providers, and remote ones when offline
+ * @param {string} capability - 'definitions', 'examples' or 'translate'
+ * @returns {Array<Object>} - Providers with a resolved example limit
+ */
+export function getProviders(capability) {
+  const order = parseList(process.env[ORDER_ENV[capability]]);
+  const rank = name => {
+    const index = order.indexOf(name);
+    return index >= 0 ? index : order.length;
+  };
+
+  return providers
+    .filter(p => typeof p[capability] === 'function')
+    .filter(p => !DISABLED.has(p.name))
+    .filter(p => !p.isConfigured || p.isConfigured())
+    .filter(p => !(p.remote && isOffline()))
+    .filter(p => !trippedProviders.has(p.name))
+    .map((p, position) => ({ provider: p, position }))
+    .sort((a, b) => rank(a.provider.name) - rank(b.provider.name) || a.position - b.position)
+    .map(({ provider }) => ({
+      ...provider,
+      limit: LIMITS[provider.name] ?? provider.limit,
+      timeout: TIMEOUTS[provider.name] ?? provider.timeout ?? DEFAULT_TIMEOUT_MS
+    }));
+}
+
+/**
+ * Wait before retrying, unless cancelled
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Run one provider call with a timeout
+ * The call is also raced against the timeout, so providers that ignore the signal cannot hang
+ * @param {Function} call - Receives an AbortSignal, returns a promise
+ * @param {number} timeoutMs - Timeout
+ * @param {AbortSignal} signal - Caller's cancellation signal
+ * @returns {Promise<*>}
+ */
+async function withTimeout(call, timeoutMs, signal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', abort, { once: true });
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`timed out after ${timeoutMs}ms`);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  try {
+    return await Promise.race([call(controller.signal), timeout, aborted]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Record a failed call, tripping the provider's circuit breaker after repeated failures
+ * @param {Object} provider - Provider
+ * @param {Error} error - Last error
+ */
+function recordFailure(provider, error) {
+  const count = (failures.get(provider.name) || 0) + 1;
+  failures.set(provider.name, count);
+
+  if (count >= BREAKER_THRESHOLD && !trippedProviders.has(provider.name)) {
+    trippedProviders.add(provider.name);
+    console.error(`${provider.label || provider.name} is not responding (${error.message}); skipped for this session.`);
+  }
+}
+
+/**
+ * Call a provider capability with timeout, bounded retries and circuit breaking
+ * Cancellation by the caller is not counted as a failure
+ * @param {Object} provider - Provider from getProviders()
+ * @param {string} capability - 'definitions', 'examples' or 'translate'
+ * @param {*} input - Word or texts
+ * @param {Object} options - Capability options, plus { signal } to cancel
+ * @returns {Promise<*>} - The provider's result
+ * @throws {Error} - If every attempt failed, or the call was cancelled
+ */
+export async function callProvider(provider, capability, input, options = {}) {
+  const { signal } = options;
+  let lastError;
+
+  for (let attempt = 0; attempt <= RETRIES; attempt++) {
+    if (signal?.aborted) throw signal.reason;
+
+    try {
+      const result = await withTimeout(
+        attemptSignal => provider[capability](input, { ...options, signal: attemptSignal }),
+        provider.timeout ?? DEFAULT_TIMEOUT_MS,
+        signal
+      );
+      failures.delete(provider.name);
+      return result;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      lastError = error;
+      if (error?.retryable === false || attempt === RETRIES) break;
+      await sleep(BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS, signal);
+    }
+  }
+
+  recordFailure(provider, lastError);
+  throw lastError;
+}
+
+/**
+ * Get the providers skipped for this session by the circuit breaker
+ * @returns {string[]} - Provider names
+ */
+export function getTrippedProviders() {
+  return [...trippedProviders];
+}
+
+/**
+ * Re-enable providers skipped by the circuit breaker
+ */
+export function resetCircuitBreakers() {
+  failures.clear();
+  trippedProviders.clear();
+}
+
+/**
+ * Import provider modules listed in WORD_PROVIDER_MODULES and register their providers
+ * @returns {Promise<string[]>} - Names of the providers registered
+ */
+export async function loadProviderModules() {
+  const names = [];
+
+  for (const modulePath of parseList(process.env.WORD_PROVIDER_MODULES)) {
+    try {
+      const module = await import(pathToFileURL(resolve(PROJECT_ROOT, modulePath)).href);
+      const exported = module.default;
+      for (const provider of Array.isArray(exported) ? exported : [exported]) {
+        registerProvider(provider);
+        names.push(provider.name);
+      }
+    } catch (error) {
+      console.error(`Failed to load provider module ${modulePath}: ${error.message}`);
+    }
+  }
+
+  return names;
+}
+
+// ==================== Built-in providers ====================
+
+registerProvider({
+  name: 'ecdict',
+  label: 'ECDICT',
+  remote: false,
+  definitions: async (word) => lookupWord(word)
+});
+
+registerProvider({
+  name: 'freedict',
+  label: 'Free Dictionary',
+  remote: true,
+  limit: Infinity,
+  tier: 1,
+  definitions: fetchFromFreeDictionary,
+  examples: fetchExamplesFromFreeDictionary
+});
+
+// Sentences from the user's own texts (WORD_CORPUS_DIR); works offline
+registerProvider({
+  name: 'corpus',
+  label: 'Local corpus',
+  remote: false,
+  tier: 2,
+  isConfigured: isCorpusConfigured,
+  examples: async (word, { limit }) => asGeneral(findCorpusExamples(word, limit))
+});
+
+registerProvider({
+  name: 'wordnik',
+  label: 'Wordnik',
+  remote: true,
+  tier: 2,
+  isConfigured: () => Boolean(process.env.WORDNIK_API_KEY),
+  examples: async (word, { limit, signal }) =>
+    asGeneral(await fetchExamplesFromWordnik(word, limit, { signal }))
+});
+
+registerProvider({
+  name: 'azure-dict',
+  label: 'Azure Dictionary',
+  remote: true,
+  tier: 2,
+  isConfigured: () => Boolean(process.env.AZURE_TRANSLATOR_KEY),
+  examples: async (word, { definitions, limit, signal }) =>
+    asGeneral(await fetchExamplesFromAzureDict(word, definitions, limit, { signal }))
+});
+
+registerProvider({
+  name: 'gpt',
+  label: 'GPT-4.1',
+  remote: true,
+  tier: 3,
+  timeout: 20000,
+  generated: true,
+  isConfigured: () => Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_KEY),
+  examples: async (word, { definitions, limit, signal }) =>
+    asGeneral(await fetchExamplesFromGPT(word, definitions, limit, { signal }))
+});
+
+registerProvider({
+  name: 'azure',
+  label: 'Azure Translator',
+  remote: true,
+  isConfigured: () => Boolean(process.env.AZURE_TRANSLATOR_KEY),
+  translate: translateToZh
+});
+
+registerProvider({
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  remote: true,
+  timeout: 20000,
+  isConfigured: () => Boolean(process.env.TRANSLATE_OPENAI_BASE_URL),
+  translate: translateWithOpenAI
+});
+
+// A local service keeps working in offline mode
+registerProvider({
+  name: 'local',
+  label: 'Local translator',
+  remote: false,
+  isConfigured: () => Boolean(process.env.TRANSLATE_LOCAL_URL),
+  translate: translateWithLocal
+});
+
+export default { registerProvider, getProviders, callProvider, loadProviderModules, getTrippedProviders, resetCircuitBreakers };
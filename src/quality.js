@@ -0,0 +1,114 @@
+/**
+ * Example quality module - scores example sentences for learners
+ * Considers sentence length, whether the headword (any inflected form) is present,
+ * profanity, and readability (Flesch reading ease)
+ */
+
+import { findIndexEntry } from './search.js';
+import { tokenize } from './text.js';
+
+// Sentence length in words that reads well as an example
+const IDEAL_LENGTH = { min: 6, max: 20 };
+const ACCEPTABLE_LENGTH = { min: 4, max: 30 };
+
+// Kept short on purpose: flags clearly unsuitable sentences, not every rude word
+const PROFANITY = new Set([
+  'fuck', 'fucking', 'fucked', 'shit', 'shitty', 'bitch', 'bastard', 'asshole',
+  'cunt', 'dick', 'slut', 'whore', 'goddamn'
+]);
+
+// Flesch reading ease bands: [minimum score, level, weight]
+const READABILITY_LEVELS = [
+  [80, 'easy', 1],
+  [60, 'standard', 0.9],
+  [40, 'difficult', 0.7],
+  [-Infinity, 'very difficult', 0.5]
+];
+
+/**
+ * Estimate the syllables in a word (vowel groups, minus a silent final e)
+ * @param {string} word - Lowercase word
+ * @returns {number}
+ */
+function countSyllables(word) {
+  const groups = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Get the readability level of a sentence
+ * @param {string[]} tokens - Word tokens
+ * @returns {{level: string, weight: number}}
+ */
+function getReadability(tokens) {
+  if (tokens.length === 0) return { level: 'very difficult', weight: 0.5 };
+
+  const syllables = tokens.reduce((total, token) => total + countSyllables(token), 0);
+  const ease = 206.835 - 1.015 * tokens.length - 84.6 * (syllables / tokens.length);
+  const [, level, weight] = READABILITY_LEVELS.find(([min]) => ease >= min);
+  return { level, weight };
+}
+
+/**
+ * Check whether a sentence uses the headword, in any inflected form
+ * @param {string} sentence - English sentence
+ * @param {string[]} tokens - Word tokens
+ * @param {string} word - Headword
+ * @returns {boolean}
+ */
+function containsHeadword(sentence, tokens, word) {
+  const key = word.toLowerCase();
+
+  // Phrases are matched as text
+  if (/[\s-]/.test(key)) return sentence.toLowerCase().includes(key);
+
+  const base = findIndexEntry(key)?.lemma || key;
+  return tokens.some(token =>
+    token === key || token === base || findIndexEntry(token)?.lemma === base
+  );
+}
+
+/**
+ * Score an example sentence for a headword
+ * @param {string} sentence - English sentence
+ * @param {string} word - Headword the example is for
+ * @returns {{score: number, readability: string}} - Score from 0 to 100, readability level
+ */
+export function scoreExample(sentence, word) {
+  const tokens = tokenize(sentence);
+  let score = 100;
+
+  if (tokens.length < ACCEPTABLE_LENGTH.min || tokens.length > ACCEPTABLE_LENGTH.max) {
+    score *= 0.4;
+  } else if (tokens.length < IDEAL_LENGTH.min || tokens.length > IDEAL_LENGTH.max) {
+    score *= 0.7;
+  }
+
+  if (!containsHeadword(sentence, tokens, word)) {
+    score *= 0.4;
+  }
+
+  if (tokens.some(token => PROFANITY.has(token))) {
+    score *= 0.1;
+  }
+
+  const readability = getReadability(tokens);
+  score *= readability.weight;
+
+  return { score: Math.round(score), readability: readability.level };
+}
+
+/**
+ * Add a score to examples that do not have one yet
+ * @param {Array<{en: string, score?: number}>} examples - Examples (modified in place)
+ * @param {string} word - Headword
+ */
+export function scoreExamples(examples, word) {
+  for (const ex of examples) {
+    if (typeof ex === 'object' && ex.score === undefined) {
+      ex.score = scoreExample(ex.en, word).score;
+    }
+  }
+}
+
+export default { scoreExample, scoreExamples };
@@ -5,9 +5,29 @@
 import readline from 'readline';
 import chalk from 'chalk';
 import Dictionary from './dictionary.js';
-import Notebook from './notebook.js';
+import Notebook, { parseTags, matchesTags, getSuggestedTags, PERSONAL_FIELDS, DUPLICATE_POLICIES } from './notebook.js';
 import { parseInput, COMMANDS } from './commands.js';
-import { enrichWithExamples } from './api.js';
+import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
+import { resolve, basename, extname } from 'path';
+import { enrichWithExamples, translateSentences } from './api.js';
+import { analyzeText, analyzeSubtitles, getUnknownWords, LEARNING_LEVELS } from './analyzer.js';
+import { isSubtitleFile, parseSubtitles } from './subtitles.js';
+import {
+  getWordFileFormat,
+  exportWords,
+  parseWordFile,
+  guessColumnMapping,
+  applyColumnMapping,
+  buildImportedWords,
+  WORD_FILE_FORMATS
+} from './wordfile.js';
+import { lookupWord } from './ecdict.js';
+import { containsChinese } from './reverse.js';
+import { REPEAT_THRESHOLD } from './history.js';
+import { clearCache, pruneCache, getCacheStats, getCacheInfo } from './cache.js';
+import { isOffline, getOfflineReason, setOffline } from './network.js';
+import { getTrippedProviders, resetCircuitBreakers } from './providers.js';
+import { getTranslationCacheSize } from './translator.js';
 import {
   LearningSession,
   calculateNextReview,
@@ -17,13 +37,33 @@ import {
 import {
   displayWordDetails,
   displayHistory,
+  displayRepeatLookupHint,
+  displaySearchResults,
   displayWelcome,
+  displayCacheStats,
+  displayCacheInfo,
+  displayOfflineStatus,
+  displayComparison,
+  displayAnalysis,
+  displayCourseCreated,
+  displayExported,
+  displayImportPreview,
+  displayImportProgress,
+  displayImportDuplicatePrompt,
+  displayImportResult,
   displaySaved,
   displayError,
   displayHelp,
   displaySelectionPrompt,
   displayWordActions,
+  displayWordFamilyLine,
+  displayWordFamily,
   displayNotebookList,
+  displayNotebooks,
+  displayTagCounts,
+  displayTagPrompt,
+  displayNotesMenu,
+  displayNoteInputPrompt,
   displayLearningStats,
   displayLearnPrompt,
   displayFlashcardFront,
@@ -47,14 +87,34 @@ import {
   getLearningStats as getCETLearningStats,
   getWordsForLearning as getCETWordsForLearning,
   updateWordLearningState,
-  getCategoryDisplayName
+  getCategoryDisplayName,
+  createCourse,
+  getCourses,
+  getWordList,
+  getProgress
 } from './cet.js';
+import { exportAnkiDeck } from './anki.js';
+
+// File extension of Anki packages written by /export
+const ANKI_FORMAT = 'apkg';
 
 // Selection states for multi-step interactions
 const SelectionState = {
   NONE: null,
   WORD_ACTIONS: 'word_actions',
+  SEARCH_RESULTS: 'search_results',
+  FAMILY_LIST: 'family_list',
   NOTEBOOK_LIST: 'notebook_list',
+  NOTEBOOK_DELETE_CONFIRM: 'notebook_delete_confirm',
+  WORD_TAGS: 'word_tags',
+  WORD_NOTES: 'word_notes',
+  WORD_NOTES_INPUT: 'word_notes_input',
+  IMPORT_MAPPING: 'import_mapping',
+  IMPORT_DUPLICATES: 'import_duplicates',
+  EXPORT_OVERWRITE_CONFIRM: 'export_overwrite_confirm',
+  HISTORY_LIST: 'history_list',
+  ANALYZE_PASTE: 'analyze_paste',
+  ANALYSIS_RESULTS: 'analysis_results',
   LEARN_COURSE_SELECT: 'learn_course_select',
   LEARN_MENU: 'learn_menu',
   FLASHCARD_FRONT: 'flashcard_front',
@@ -68,6 +128,81 @@ const SelectionState = {
   CET_SESSION_COMPLETE: 'cet_session_complete'
 };
 
+// Number of prefix matches shown per page
+const SEARCH_PAGE_SIZE = 10;
+
+// Number of history entries listed by /history
+const HISTORY_LIST_SIZE = 30;
+
+// Most words /compare shows side by side
+const MAX_COMPARE_WORDS = 4;
+
+// Number of unknown words listed by /analyze
+const ANALYSIS_LIST_SIZE = 40;
+
+// Fixed /learn menu keys of the CET word lists; notebooks and courses are numbered around them
+const CET_COURSE_KEYS = { cet4: '4', cet6: '6' };
+
+/**
+ * Parse a list selection like "1 3 5-8" into zero-based indexes
+ * @param {string} input - Selection text
+ * @param {number} count - Number of items
+ * @returns {number[]|null} - Sorted unique indexes, or null if the input is not a selection
+ */
+function parseListSelection(input, count) {
+  const parts = input.split(/[\s,]+/).filter(Boolean);
+  if (parts.length === 0 || !parts.every(part => /^\d+(-\d+)?$/.test(part))) return null;
+
+  const indexes = new Set();
+  for (const part of parts) {
+    const [start, end = start] = part.split('-').map(n => parseInt(n));
+    for (let n = Math.min(start, end); n <= Math.max(start, end); n++) {
+      if (n >= 1 && n <= count) indexes.add(n - 1);
+    }
+  }
+  return [...indexes].sort((a, b) => a - b);
+}
+
+/**
+ * Parse tag filter arguments like ["tag:gre", "tag:verbs"]
+ * @param {string[]} args - Command arguments
+ * @returns {string[]|null} - Tags, or null if any argument is not a tag filter
+ */
+function parseTagFilters(args) {
+  if (!args.every(arg => /^tag:\S+$/i.test(arg))) return null;
+  return parseTags(args.map(arg => arg.slice(4)).join(' '));
+}
+
+/**
+ * Give each /learn menu choice its key: CET lists keep theirs, the rest count up from 1
+ * skipping the CET keys, so adding a notebook never moves CET-4 or CET-6
+ * @param {Array<Object>} choices - Menu choices
+ * @returns {Array<Object>} - Choices with a key
+ */
+function assignCourseKeys(choices) {
+  const reserved = Object.values(CET_COURSE_KEYS);
+  let number = 0;
+
+  return choices.map(choice => {
+    if (choice.kind === 'cet') {
+      return { ...choice, key: CET_COURSE_KEYS[choice.category] };
+    }
+    do {
+      number++;
+    } while (reserved.includes(String(number)));
+    return { ...choice, key: String(number) };
+  });
+}
+
+/**
+ * Reduce a notebook or course name to letters and digits, so "from:my-notebook" names "My Notebook"
+ * @param {string} name - Name as typed or stored
+ * @returns {string}
+ */
+function compactName(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
 export class WordLearnerREPL {
   constructor() {
     this.dictionary = new Dictionary();
@@ -76,18 +211,23 @@ export class WordLearnerREPL {
     this.pendingSelection = SelectionState.NONE;
     this.selectionData = null;
     this.learningSession = null;
-    this.cetCategory = null; // Current CET category ('cet4' or 'cet6')
+    this.learningNotebook = null; // Notebook studied in the current session
+    this.cetCategory = null; // Current CET category ('cet4', 'cet6' or a course id)
   }
 
   start() {
     this.rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
-      prompt: chalk.cyan('> '),
+      prompt: this.getPrompt(),
       historySize: 100
     });
 
     displayWelcome();
+    if (isOffline()) {
+      displayOfflineStatus(true, getOfflineReason());
+      console.log();
+    }
     this.handleProgress();
     this.rl.prompt();
 
@@ -114,6 +254,18 @@ export class WordLearnerREPL {
     });
   }
 
+  /**
+   * Build the input prompt, with the active notebook (when there are several) and an offline indicator
+   * @returns {string}
+   */
+  getPrompt() {
+    const notebook = this.notebook.getNotebooks().length > 1
+      ? chalk.magenta(`[${this.notebook.getActiveName()}] `)
+      : '';
+    const offline = isOffline() ? chalk.yellow('[offline] ') : '';
+    return notebook + offline + chalk.cyan('> ');
+  }
+
   async handleInput(input) {
     // Check for pending selection state
     if (this.pendingSelection) {
@@ -132,6 +284,9 @@ export class WordLearnerREPL {
       case 'search':
         await this.handleSearch(parsed.word);
         break;
+      case 'reverse_search':
+        await this.handleReverseSearch(parsed.query);
+        break;
       case 'unknown_command':
         displayError(`Unknown command: /${parsed.input}. Type /help for available commands.`);
         break;
@@ -139,22 +294,49 @@ export class WordLearnerREPL {
   }
 
   async executeCommand(command, args) {
+    // Commands that need arguments show their usage instead of running without any
+    const { requiresArgs, usage } = COMMANDS[command];
+    if (requiresArgs && args.length === 0) {
+      displayError(`Usage: ${usage}`);
+      return;
+    }
+
     switch (command) {
       case 'search':
-        if (args.length === 0) {
-          displayError('Usage: /search <word>');
-        } else {
-          await this.handleSearch(args.join(' '));
-        }
+        await this.handleSearch(args.join(' '));
+        break;
+      case 'find':
+        this.handleFind(args);
+        break;
+      case 'compare':
+        await this.handleCompare(args);
+        break;
+      case 'analyze':
+        this.handleAnalyze(args);
+        break;
+      case 'subtitles':
+        this.handleSubtitles(args);
         break;
       case 'notebook':
-        await this.handleNotebook();
+        this.handleNotebook(args);
+        break;
+      case 'export':
+        await this.handleExport(args);
+        break;
+      case 'import':
+        this.handleImport(args);
         break;
       case 'help':
         displayHelp();
         break;
       case 'history':
-        this.handleHistory();
+        this.handleHistory(args);
+        break;
+      case 'cache':
+        this.handleCache(args);
+        break;
+      case 'offline':
+        this.handleOffline(args);
         break;
       case 'clear':
         console.clear();
@@ -163,7 +345,7 @@ export class WordLearnerREPL {
         this.rl.close();
         break;
       case 'learn':
-        await this.handleLearn();
+        await this.handleLearn(args);
         break;
       case 'progress':
         this.handleProgress();
@@ -172,12 +354,32 @@ export class WordLearnerREPL {
   }
 
   async handleSearch(word) {
+    if (containsChinese(word)) {
+      await this.handleReverseSearch(word);
+      return;
+    }
+
     try {
       console.log(chalk.dim(`\nSearching for "${word}"...`));
+
       const entry = await this.dictionary.lookup(word);
+      const matches = this.dictionary.searchPrefix(word);
 
       if (entry) {
-        this.showWordWithActions(entry);
+        this.showWordWithActions(entry, { query: word, matches });
+        return;
+      }
+
+      // Not a word (locally or online): list the words that start with the input
+      if (matches.length > 0) {
+        this.showSearchResults(word, matches);
+        return;
+      }
+
+      const suggestions = this.dictionary.suggest(word);
+      if (suggestions.length > 0) {
+        console.log(chalk.yellow(`\n"${word}" not found.`));
+        this.showSearchResults(word, suggestions, 0, 'Did you mean');
       } else {
         console.log(chalk.yellow(`\n"${word}" not found.\n`));
       }
@@ -186,181 +388,1254 @@ export class WordLearnerREPL {
     }
   }
 
-  showWordWithActions(wordEntry) {
-    displayWordDetails(wordEntry);
-    const inNotebook = this.notebook.hasWord(wordEntry.word);
-    displayWordActions(inNotebook);
-    this.pendingSelection = SelectionState.WORD_ACTIONS;
-    this.selectionData = { word: wordEntry };
+  /**
+   * Find English words by Chinese meaning and list them for selection
+   * @param {string} query - Chinese word or phrase
+   */
+  async handleReverseSearch(query) {
+    console.log(chalk.dim(`\nSearching English words for "${query}"...`));
+    const matches = this.dictionary.reverseLookup(query);
+
+    if (matches.length > 0) {
+      this.showSearchResults(query, matches, 0, `English for "${query}"`);
+    } else {
+      console.log(chalk.yellow(`\nNo English words found for "${query}".\n`));
+    }
   }
 
-  async handleNotebook() {
-    const words = this.notebook.getWords();
+  /**
+   * Handle /compare command - look up several words and show them side by side
+   * @param {string[]} args - Words to compare
+   */
+  async handleCompare(args) {
+    const words = [...new Set(args.map(w => w.toLowerCase()))];
+    if (words.length < 2) {
+      displayError('Usage: /compare <word> <word> [...]');
+      return;
+    }
+    if (words.length > MAX_COMPARE_WORDS) {
+      displayError(`Compare at most ${MAX_COMPARE_WORDS} words at a time`);
+      return;
+    }
 
-    if (!displayNotebookList(words)) {
-      return; // Empty notebook
+    console.log(chalk.dim(`\nLooking up ${words.join(', ')}...`));
+    const entries = [];
+    for (const word of words) {
+      const entry = await this.dictionary.lookup(word);
+      if (entry) {
+        entries.push(entry);
+      } else {
+        console.log(chalk.yellow(`"${word}" not found.`));
+      }
     }
 
-    displaySelectionPrompt(words.length, false);
-    this.pendingSelection = SelectionState.NOTEBOOK_LIST;
-    this.selectionData = { words };
+    if (entries.length < 2) {
+      displayError('Need at least two words to compare');
+      return;
+    }
+    displayComparison(entries);
   }
 
-  handleHistory() {
-    const history = this.dictionary.getHistory();
-    displayHistory(history);
+  /**
+   * Handle /analyze command - analyze a text file, inline text, or start paste mode
+   * @param {string[]} args - File path or text; empty to paste
+   */
+  handleAnalyze(args) {
+    if (args.length === 0) {
+      this.pendingSelection = SelectionState.ANALYZE_PASTE;
+      this.selectionData = { lines: [] };
+      console.log(chalk.cyan('Paste the text, then enter a line with only "." to analyze it'));
+      return;
+    }
+
+    const input = args.join(' ');
+    const path = resolve(input);
+
+    if (isSubtitleFile(path)) {
+      this.handleSubtitles(args);
+    } else if (existsSync(path) && statSync(path).isFile()) {
+      try {
+        this.showAnalysis(readFileSync(path, 'utf-8'), basename(path));
+      } catch (error) {
+        displayError(`Cannot read ${input}: ${error.message}`);
+      }
+    } else if (args.length === 1 && /\.\w+$/.test(input)) {
+      displayError(`File not found: ${input}`);
+    } else {
+      this.showAnalysis(input, 'inline text');
+    }
   }
 
-  async handleSelection(input) {
-    const trimmed = input.trim().toLowerCase();
+  /**
+   * Collect pasted lines until a line with only "."
+   * @param {string} input - Raw input line
+   */
+  handleAnalyzePasteInput(input) {
+    if (input.trim() !== '.') {
+      this.selectionData.lines.push(input);
+      return;
+    }
 
-    // Allow user to break out of selection with commands
-    if (trimmed.startsWith('/')) {
-      this.clearSelection();
-      await this.handleInput(input);
+    const text = this.selectionData.lines.join('\n');
+    this.clearSelection();
+    if (!text.trim()) {
+      displayError('No text to analyze');
       return;
     }
+    this.showAnalysis(text, 'pasted text');
+  }
 
-    switch (this.pendingSelection) {
-      case SelectionState.WORD_ACTIONS:
-        await this.handleWordActionSelection(trimmed);
-        break;
-      case SelectionState.NOTEBOOK_LIST:
-        await this.handleNotebookListSelection(trimmed);
-        break;
-      case SelectionState.LEARN_COURSE_SELECT:
-        await this.handleLearnCourseSelection(trimmed);
-        break;
-      case SelectionState.LEARN_MENU:
-        await this.handleLearnMenuSelection(trimmed);
-        break;
-      case SelectionState.FLASHCARD_FRONT:
-        await this.handleFlashcardFrontSelection(trimmed);
-        break;
-      case SelectionState.FLASHCARD_BACK:
-        await this.handleFlashcardBackSelection(trimmed);
-        break;
-      case SelectionState.SESSION_COMPLETE:
-        await this.handleSessionCompleteSelection();
-        break;
-      case SelectionState.CET_EXTRACT_CONFIRM:
-        await this.handleCETExtractConfirm(trimmed);
-        break;
-      case SelectionState.CET_MENU:
-        await this.handleCETMenuSelection(trimmed);
-        break;
-      case SelectionState.CET_FLASHCARD_FRONT:
-        await this.handleCETFlashcardFrontSelection(trimmed);
-        break;
-      case SelectionState.CET_FLASHCARD_BACK:
-        await this.handleCETFlashcardBackSelection(trimmed);
-        break;
-      case SelectionState.CET_SESSION_COMPLETE:
-        await this.handleCETSessionCompleteSelection();
-        break;
+  /**
+   * Analyze a text and list the words worth learning
+   * @param {string} text - English text
+   * @param {string} label - Where the text came from
+   */
+  showAnalysis(text, label) {
+    const analysis = analyzeText(text, this.notebook);
+    const unknownWords = getUnknownWords(analysis);
+    const words = unknownWords.slice(0, ANALYSIS_LIST_SIZE);
+
+    if (displayAnalysis(analysis, words, unknownWords.length, label)) {
+      this.pendingSelection = SelectionState.ANALYSIS_RESULTS;
+      this.selectionData = { words, label, kind: 'Text' };
     }
   }
 
-  async handleWordActionSelection(input) {
-    const { word } = this.selectionData;
+  /**
+   * Handle /subtitles command - list the words of a subtitle file at or above a level
+   * @param {string[]} args - File path, optionally followed by a level (cet4, cet6, above)
+   */
+  handleSubtitles(args) {
+    const last = args[args.length - 1].toLowerCase();
+    const hasLevel = args.length > 1 && LEARNING_LEVELS.includes(last);
+    const level = hasLevel ? last : 'cet4';
+    const input = (hasLevel ? args.slice(0, -1) : args).join(' ');
+    const path = resolve(input);
+
+    if (!isSubtitleFile(path)) {
+      displayError('Usage: /subtitles <file.srt|file.vtt> [cet4|cet6|above]');
+      return;
+    }
+    if (!existsSync(path) || !statSync(path).isFile()) {
+      displayError(`File not found: ${input}`);
+      return;
+    }
 
-    if (input === 's') {
-      if (!this.notebook.hasWord(word.word)) {
-        if (this.notebook.addWord(word)) {
-          displaySaved(word.word);
-        } else {
-          displayError('Failed to save word');
-        }
-      } else {
-        console.log(chalk.yellow(`"${word.word}" is already in notebook`));
-      }
+    let cues;
+    try {
+      cues = parseSubtitles(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      displayError(`Cannot read ${input}: ${error.message}`);
+      return;
+    }
+    if (cues.length === 0) {
+      displayError(`No subtitle cues found in ${input}`);
+      return;
+    }
+
+    const label = basename(path);
+    const analysis = analyzeSubtitles(cues, this.notebook);
+    const candidates = getUnknownWords(analysis, level);
+    const words = candidates.slice(0, ANALYSIS_LIST_SIZE);
+    const options = { title: `Subtitles (${cues.length} lines)`, level, course: true };
+
+    if (displayAnalysis(analysis, words, candidates.length, label, options)) {
+      this.pendingSelection = SelectionState.ANALYSIS_RESULTS;
+      this.selectionData = { words, label, kind: 'Subtitles', candidates };
+    }
+  }
+
+  async handleAnalysisSelection(input) {
+    const { words, label, kind, candidates } = this.selectionData;
+
+    if (input === 'b') {
       this.clearSelection();
       return;
     }
 
-    if (input === 'r') {
-      if (this.notebook.hasWord(word.word)) {
-        if (this.notebook.removeWord(word.word)) {
-          console.log(chalk.green(`Removed "${word.word}" from notebook`));
-        } else {
-          displayError('Failed to remove word');
-        }
-      } else {
-        console.log(chalk.yellow(`"${word.word}" is not in notebook`));
+    // Subtitle words can become a course: "c" for all candidates, "c 1-10" for listed ones
+    const courseMatch = candidates && input.match(/^c(?:\s+(.+))?$/);
+    if (courseMatch) {
+      const indexes = courseMatch[1] ? parseListSelection(courseMatch[1], words.length) : null;
+      if (courseMatch[1] && !indexes?.length) {
+        displayError(`Enter numbers between 1 and ${words.length} after C`);
+        return;
       }
       this.clearSelection();
+      await this.createCourseFromWords(indexes ? indexes.map(i => words[i]) : candidates, label);
+      return;
+    }
+
+    const indexes = input === 'a'
+      ? words.map((_, i) => i)
+      : parseListSelection(input, words.length);
+
+    if (indexes === null) {
+      // Treat unrecognized input as a new word search
+      this.clearSelection();
+      await this.handleSearch(input);
+      return;
+    }
+    if (indexes.length === 0) {
+      displayError(`Enter numbers between 1 and ${words.length}`);
       return;
     }
 
-    // Treat unrecognized input as a new word search
     this.clearSelection();
-    await this.handleSearch(input);
+    await this.addAnalyzedWords(indexes.map(i => words[i]), label, kind);
   }
 
-  async handleNotebookListSelection(input) {
-    const { words } = this.selectionData;
+  /**
+   * Build the example an analyzed word keeps: its sentence or subtitle line
+   * @param {Object} word - Word from the analysis
+   * @param {string} zh - Translation of the sentence (may be missing)
+   * @param {string} label - Where the text came from
+   * @returns {Object} - Example { en, zh, source }
+   */
+  getAnalyzedExample(word, zh, label) {
+    return { en: word.sentence, zh, source: word.time ? `${label} @ ${word.time}` : label };
+  }
 
-    const index = parseInt(input) - 1;
-    if (index >= 0 && index < words.length) {
-      this.clearSelection();
-      this.showWordWithActions(words[index]);
-    } else {
-      displayError(`Enter 1-${words.length}`);
+  /**
+   * Save analyzed words to the notebook, each with the sentence it came from
+   * @param {Array<Object>} words - Words from the analysis
+   * @param {string} label - Where the text came from
+   * @param {string} kind - 'Text' or 'Subtitles' (recorded as the word's source)
+   */
+  async addAnalyzedWords(words, label, kind = 'Text') {
+    const newWords = words.filter(w => !this.notebook.hasWord(w.word));
+    if (newWords.length === 0) {
+      console.log(chalk.yellow('Selected words are already in notebook'));
+      return;
+    }
+
+    const translations = await translateSentences(newWords.map(w => w.sentence));
+
+    for (const [i, word] of newWords.entries()) {
+      const entry = await this.dictionary.lookup(word.word, { record: false });
+      if (!entry) {
+        displayError(`Failed to save "${word.word}"`);
+        continue;
+      }
+
+      // The sentence from the text goes first
+      const [firstDef] = entry.definitions;
+      if (firstDef) {
+        firstDef.examples = [
+          this.getAnalyzedExample(word, translations[i], label),
+          ...(firstDef.examples || []).filter(ex => ex.en !== word.sentence)
+        ];
+      }
+
+      if (this.notebook.addWord(entry, `${kind}: ${label}`)) {
+        displaySaved(entry.word);
+      } else {
+        displayError(`Failed to save "${word.word}"`);
+      }
     }
   }
 
-  clearSelection() {
-    this.pendingSelection = SelectionState.NONE;
-    this.selectionData = null;
+  /**
+   * Create a course (or extend the course of the same file) from analyzed words
+   * Entries come from ECDICT only; more examples are fetched when a card is revealed
+   * @param {Array<Object>} words - Words from the analysis
+   * @param {string} label - Subtitle file name, used as the course name
+   */
+  async createCourseFromWords(words, label) {
+    console.log(chalk.dim(`\nPreparing ${words.length} words...`));
+    const translations = await translateSentences(words.map(w => w.sentence));
+
+    const entries = [];
+    for (const [i, word] of words.entries()) {
+      const entry = lookupWord(word.word);
+      if (!entry || entry.definitions.length === 0) continue;
+      entry.definitions[0].examples = [this.getAnalyzedExample(word, translations[i], label)];
+      entries.push(entry);
+    }
+
+    const name = label.replace(/\.(srt|vtt)$/i, '');
+    try {
+      const { added, total } = createCourse(name, entries, label);
+      displayCourseCreated(name, added, total);
+    } catch (error) {
+      displayError(`Failed to create course: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find words by pattern and filters and list them for selection
+   * @param {string[]} args - Pattern and filter arguments
+   */
+  handleFind(args) {
+    let matches;
+    try {
+      matches = this.dictionary.find(args);
+    } catch (error) {
+      displayError(error.message);
+      return;
+    }
+
+    const query = args.join(' ');
+    if (matches.length > 0) {
+      this.showSearchResults(query, matches, 0, `Find "${query}"`);
+    } else {
+      console.log(chalk.yellow(`\nNo words match "${query}".\n`));
+    }
   }
 
-  async handleLearn() {
-    // Show course selection menu
-    const notebookWords = this.notebook.getWords();
-    const cet4Available = isExtracted('cet4');
-    const cet6Available = isExtracted('cet6');
+  /**
+   * Show word details with save/remove actions
+   * @param {Object} wordEntry - Word entry to display
+   * @param {Object} search - Optional { query, matches, heading } from a search list
+   */
+  showWordWithActions(wordEntry, search = null) {
+    displayWordDetails(wordEntry, this.notebook.getWord(wordEntry.word));
+    const inNotebook = this.notebook.hasWord(wordEntry.word);
+    const wordKey = wordEntry.word.toLowerCase();
+    const moreCount = search ? search.matches.filter(m => m.key !== wordKey).length : 0;
 
-    displayLearnCourseMenu(notebookWords.length, cet4Available, cet6Available);
+    const family = this.dictionary.getFamily(wordEntry.word);
+    displayWordFamilyLine(family.base, family.members);
 
-    this.pendingSelection = SelectionState.LEARN_COURSE_SELECT;
-    this.selectionData = { notebookWords, cet4Available, cet6Available };
+    const lookupCount = this.dictionary.getLookupCount(wordEntry.word);
+    if (!inNotebook && lookupCount >= REPEAT_THRESHOLD) {
+      displayRepeatLookupHint(wordEntry.word, lookupCount);
+    }
+    const relatedCount = (wordEntry.synonyms?.length || 0) + (wordEntry.antonyms?.length || 0);
+    displayWordActions(inNotebook, { moreCount, familyCount: family.members.length, relatedCount });
+    this.pendingSelection = SelectionState.WORD_ACTIONS;
+    this.selectionData = { word: wordEntry, search: moreCount > 0 ? search : null, family };
   }
 
-  async handleLearnCourseSelection(input) {
-    const { notebookWords, cet4Available, cet6Available } = this.selectionData;
+  /**
+   * Show a word family list
+   * @param {{base: string, members: Array<object>}} family - Family from getFamily()
+   */
+  showWordFamily(family) {
+    const saved = new Set(
+      family.members.filter(m => this.notebook.hasWord(m.word)).map(m => m.key)
+    );
+    displayWordFamily(family.base, family.members, saved);
+    this.pendingSelection = SelectionState.FAMILY_LIST;
+    this.selectionData = { family };
+  }
+
+  /**
+   * Show a page of prefix search matches
+   * @param {string} query - The searched prefix
+   * @param {Array<object>} matches - Ranked index entries
+   * @param {number} page - Zero-based page number
+   * @param {string} heading - Optional list heading (e.g. 'Did you mean')
+   */
+  showSearchResults(query, matches, page = 0, heading = null) {
+    displaySearchResults(query, matches, page, SEARCH_PAGE_SIZE, heading);
+    this.pendingSelection = SelectionState.SEARCH_RESULTS;
+    this.selectionData = { query, matches, page, heading };
+  }
+
+  /**
+   * Handle /notebook command - list the active notebook's words or manage notebooks
+   * @param {string[]} args - [] or [action, ...] with action list, new, use, rename, delete, copy or move
+   */
+  handleNotebook(args = []) {
+    const [action, ...rest] = args;
+    const name = rest.join(' ');
+
+    if (!action) {
+      this.showNotebookWords();
+      return;
+    }
+
+    const tags = parseTagFilters(args);
+    if (tags) {
+      this.showNotebookWords(tags);
+      return;
+    }
 
-    if (input === '1' || input === 'n') {
-      // My Notebook
-      if (notebookWords.length === 0) {
+    try {
+      switch (action.toLowerCase()) {
+        case 'list':
+          displayNotebooks(this.notebook.getNotebooks());
+          return;
+        case 'tags':
+          displayTagCounts(this.notebook.getTagCounts(), this.notebook.getActiveName());
+          return;
+        case 'new':
+          console.log(chalk.green(`Created notebook "${this.notebook.createNotebook(name)}" (now active)`));
+          break;
+        case 'use':
+          console.log(chalk.green(`Using notebook "${this.notebook.useNotebook(name)}"`));
+          break;
+        case 'rename': {
+          const oldName = this.notebook.getActiveName();
+          console.log(chalk.green(`Renamed "${oldName}" to "${this.notebook.renameNotebook(name)}"`));
+          break;
+        }
+        case 'delete':
+          this.confirmDeleteNotebook(name);
+          return;
+        case 'copy':
+        case 'move': {
+          const [word, ...target] = rest;
+          if (!word || target.length === 0) {
+            displayError(`Usage: /notebook ${action.toLowerCase()} <word> <notebook>`);
+            return;
+          }
+          const move = action.toLowerCase() === 'move';
+          const targetName = this.notebook.transferWord(word, target.join(' '), { move });
+          console.log(chalk.green(`${move ? 'Moved' : 'Copied'} "${word}" to "${targetName}"`));
+          return;
+        }
+        default:
+          displayError('Usage: /notebook [tag:<tag>|tags|list|new|use|rename|delete <name>|copy|move <word> <notebook>]');
+          return;
+      }
+    } catch (error) {
+      displayError(error.message);
+      return;
+    }
+
+    this.rl.setPrompt(this.getPrompt());
+  }
+
+  /**
+   * List the active notebook's words for selection
+   * @param {string[]} tags - Only list words with all of these tags
+   */
+  showNotebookWords(tags = []) {
+    const words = this.notebook.getWords().filter(w => matchesTags(w, tags));
+
+    if (!displayNotebookList(words, this.notebook.getActiveName(), tags)) {
+      return; // Empty notebook
+    }
+
+    displaySelectionPrompt(words.length, false);
+    this.pendingSelection = SelectionState.NOTEBOOK_LIST;
+    this.selectionData = { words };
+  }
+
+  /**
+   * Delete a notebook, asking first if it still has words
+   * @param {string} name - Notebook name
+   */
+  confirmDeleteNotebook(name) {
+    const notebooks = this.notebook.getNotebooks();
+    const notebook = notebooks.find(n => n.name.toLowerCase() === name.trim().toLowerCase());
+    if (!notebook) {
+      displayError(name ? `No notebook named "${name}"` : 'Usage: /notebook delete <name>');
+      return;
+    }
+
+    // Empty notebooks, and the only notebook (which cannot be deleted), skip the question
+    if (notebook.count === 0 || notebooks.length === 1) {
+      this.deleteNotebook(notebook.name);
+      return;
+    }
+    console.log(chalk.yellow(`Delete "${notebook.name}" and its ${notebook.count} words?`) + chalk.cyan('  [Y]es  [N]o'));
+    this.pendingSelection = SelectionState.NOTEBOOK_DELETE_CONFIRM;
+    this.selectionData = { name: notebook.name };
+  }
+
+  handleNotebookDeleteConfirm(input) {
+    if (input === 'y' || input === 'yes') {
+      const { name } = this.selectionData;
+      this.clearSelection();
+      this.deleteNotebook(name);
+    } else if (input === 'n' || input === 'no') {
+      this.clearSelection();
+    } else {
+      console.log(chalk.dim('Press [Y] to delete or [N] to cancel'));
+    }
+  }
+
+  /**
+   * Delete a notebook and refresh the prompt
+   * @param {string} name - Notebook name
+   */
+  deleteNotebook(name) {
+    try {
+      this.notebook.deleteNotebook(name);
+      console.log(chalk.green(`Deleted notebook "${name}"`) + chalk.dim(`  (using "${this.notebook.getActiveName()}")`));
+      this.rl.setPrompt(this.getPrompt());
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+
+  /**
+   * Handle /export command - write words to a CSV, TSV, JSON or Anki (.apkg) file
+   * @param {string[]} args - File path (or just a format), optional from:<notebook|cet4|cet6|course>,
+   *   tag:x filters, and "progress" to carry learning state into Anki
+   */
+  async handleExport(args) {
+    const isOption = arg => /^(tag|from):\S+$/i.test(arg) || arg.toLowerCase() === 'progress';
+    const tags = parseTagFilters(args.filter(arg => /^tag:\S+$/i.test(arg))) || [];
+    const from = args.find(arg => /^from:\S+$/i.test(arg));
+    const progress = args.some(arg => arg.toLowerCase() === 'progress');
+    let target = args.filter(arg => !isOption(arg)).join(' ');
+
+    try {
+      const source = this.getExportSource(from ? from.slice(5) : null);
+
+      // "/export csv" names the file after the source
+      if ([...WORD_FILE_FORMATS, ANKI_FORMAT].includes(target.toLowerCase())) {
+        const slug = source.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+        target = `${slug || 'notebook'}.${target.toLowerCase()}`;
+      }
+      if (!target) {
+        displayError('Missing file. Usage: /export <file.csv|.tsv|.json|.apkg> [from:<source>] [tag:<tag>]');
+        return;
+      }
+
+      const isAnki = extname(target).toLowerCase() === `.${ANKI_FORMAT}`;
+      const format = isAnki ? ANKI_FORMAT : getWordFileFormat(target);
+      const words = source.words.filter(word => matchesTags(word, tags));
+      if (words.length === 0) {
+        displayError(tags.length > 0 ? 'No words with these tags' : `"${source.name}" has no words`);
+        return;
+      }
+
+      const path = resolve(target);
+      const exportData = { path, words, format, sourceName: source.name, progress, tags };
+      if (existsSync(path)) {
+        if (statSync(path).isDirectory()) {
+          displayError(`${target} is a directory`);
+          return;
+        }
+        console.log(chalk.yellow(`${path} already exists. Overwrite it?`) + chalk.cyan('  [Y]es  [N]o'));
+        this.pendingSelection = SelectionState.EXPORT_OVERWRITE_CONFIRM;
+        this.selectionData = exportData;
+        return;
+      }
+
+      await this.writeExport(exportData);
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+
+  async handleExportOverwriteConfirm(input) {
+    if (input === 'y' || input === 'yes') {
+      const exportData = this.selectionData;
+      this.clearSelection();
+      await this.writeExport(exportData);
+    } else if (input === 'n' || input === 'no') {
+      this.clearSelection();
+      console.log(chalk.dim('Export cancelled'));
+    } else {
+      console.log(chalk.dim('Press [Y] to overwrite or [N] to cancel'));
+    }
+  }
+
+  /**
+   * Write an export file
+   * @param {Object} exportData - { path, words, format, sourceName, progress, tags }
+   */
+  async writeExport({ path, words, format, sourceName, progress, tags }) {
+    try {
+      if (format === ANKI_FORMAT) {
+        writeFileSync(path, await exportAnkiDeck(words, { deckName: sourceName, progress }));
+      } else {
+        writeFileSync(path, exportWords(words, format, sourceName), 'utf-8');
+      }
+      displayExported(words.length, path, tags);
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+
+  /**
+   * Get the words an export reads from
+   * @param {string|null} name - Notebook, 'cet4', 'cet6' or course name (active notebook if omitted)
+   * @returns {{name: string, words: Array<Object>}} - Display name and words (CET and course words carry their learning state)
+   */
+  getExportSource(name) {
+    if (!name) {
+      return { name: this.notebook.getActiveName(), words: this.notebook.getWords() };
+    }
+
+    const key = compactName(name);
+    const notebook = this.notebook.getNotebooks().find(n => compactName(n.name) === key);
+    if (notebook && !['cet4', 'cet6'].includes(key)) {
+      return { name: notebook.name, words: this.notebook.getWords(notebook.name) };
+    }
+
+    const course = getCourses().find(c => compactName(c.name) === key || c.category === name.toLowerCase());
+    const category = ['cet4', 'cet6'].includes(key) ? key : course?.category;
+    if (!category) {
+      throw new Error(`Unknown source: ${name}. Use a notebook name, cet4, cet6 or a course name`);
+    }
+    if (!isExtracted(category)) {
+      throw new Error(`${getCategoryDisplayName(category)} word list is not extracted yet. Open it from /learn first`);
+    }
+
+    const learning = getProgress(category).words;
+    const words = getWordList(category).map(word => ({ ...word, learning: learning[word.word.toLowerCase()] }));
+    return { name: getCategoryDisplayName(category), words };
+  }
+
+  /**
+   * Handle /import command - read a word file and ask how to map its columns
+   * @param {string[]} args - File path and optional duplicate policy (skip, overwrite, merge)
+   */
+  handleImport(args) {
+    const last = args[args.length - 1].toLowerCase();
+    const policy = args.length > 1 && DUPLICATE_POLICIES.includes(last) ? last : null;
+    const input = (policy ? args.slice(0, -1) : args).join(' ');
+    const path = resolve(input);
+
+    if (!existsSync(path) || !statSync(path).isFile()) {
+      displayError(`File not found: ${input}`);
+      return;
+    }
+
+    let file;
+    try {
+      file = parseWordFile(readFileSync(path, 'utf-8'), getWordFileFormat(path));
+    } catch (error) {
+      displayError(`Cannot import ${input}: ${error.message}`);
+      return;
+    }
+
+    const fileName = basename(path);
+
+    // JSON written by /export carries full entries: nothing to map
+    if (file.entries) {
+      this.confirmImport(file.entries, [], fileName, policy);
+      return;
+    }
+
+    if (file.rows.length === 0) {
+      displayError(`No words in ${input}`);
+      return;
+    }
+
+    const mapping = guessColumnMapping(file.columns, file.rows);
+    displayImportPreview(fileName, file.columns, file.rows, mapping);
+    this.pendingSelection = SelectionState.IMPORT_MAPPING;
+    this.selectionData = { ...file, fileName, mapping, policy };
+  }
+
+  handleImportMappingInput(input) {
+    const { columns, rows, fileName, mapping, policy } = this.selectionData;
+
+    if (input === 'b') {
+      this.clearSelection();
+      return;
+    }
+
+    if (input) {
+      try {
+        this.selectionData.mapping = applyColumnMapping(mapping, input, columns);
+      } catch (error) {
+        displayError(error.message);
+        return;
+      }
+      displayImportPreview(fileName, columns, rows, this.selectionData.mapping);
+      return;
+    }
+
+    if (mapping.word === undefined) {
+      displayError('Map the word column first, e.g. word=1');
+      return;
+    }
+
+    this.clearSelection();
+    const { words, notFound } = buildImportedWords(rows, mapping, displayImportProgress);
+    this.confirmImport(words, notFound, fileName, policy);
+  }
+
+  /**
+   * Import words, first asking what to do with saved ones unless a policy was given
+   * @param {Array<Object>} words - Words to import
+   * @param {string[]} notFound - Words left out for lack of definitions
+   * @param {string} fileName - Imported file name
+   * @param {string|null} policy - Duplicate policy from the command line
+   */
+  confirmImport(words, notFound, fileName, policy) {
+    const duplicates = words.filter(word => this.notebook.hasWord(word.word)).length;
+
+    if (duplicates > 0 && !policy) {
+      displayImportDuplicatePrompt(duplicates, this.notebook.getActiveName());
+      this.pendingSelection = SelectionState.IMPORT_DUPLICATES;
+      this.selectionData = { words, notFound, fileName };
+      return;
+    }
+
+    this.importWords(words, notFound, fileName, policy || 'skip');
+  }
+
+  handleImportDuplicatesSelection(input) {
+    const policy = { s: 'skip', o: 'overwrite', m: 'merge' }[input] ||
+      (DUPLICATE_POLICIES.includes(input) ? input : null);
+    const { words, notFound, fileName } = this.selectionData;
+
+    if (input === 'b') {
+      this.clearSelection();
+    } else if (policy) {
+      this.clearSelection();
+      this.importWords(words, notFound, fileName, policy);
+    } else {
+      console.log(chalk.dim('Press [S]kip, [O]verwrite, [M]erge or [B]ack'));
+    }
+  }
+
+  /**
+   * Add imported words to the active notebook
+   * @param {Array<Object>} words - Words to import
+   * @param {string[]} notFound - Words left out for lack of definitions
+   * @param {string} fileName - Imported file name (recorded as the source)
+   * @param {string} policy - 'skip', 'overwrite' or 'merge'
+   */
+  importWords(words, notFound, fileName, policy) {
+    try {
+      const result = this.notebook.importWords(words, policy, `Import: ${fileName}`);
+      displayImportResult(result, notFound, this.notebook.getActiveName());
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+
+  /**
+   * Handle /history command - list, filter or clear search history
+   * @param {string[]} args - Filters ("today", "week", exam tag, text) or "clear"
+   */
+  handleHistory(args = []) {
+    if (args.length === 1 && args[0].toLowerCase() === 'clear') {
+      if (this.dictionary.clearHistory()) {
+        console.log(chalk.green('Search history cleared'));
+      }
+      return;
+    }
+
+    const history = this.dictionary.getHistory(args);
+    const entries = history.slice(0, HISTORY_LIST_SIZE);
+
+    // Words looked up repeatedly but never saved
+    const repeatedWords = history
+      .filter(e => e.count >= REPEAT_THRESHOLD && !this.notebook.hasWord(e.word))
+      .map(e => e.word);
+    const repeated = new Set(repeatedWords.map(w => w.toLowerCase()));
+
+    if (!displayHistory(entries, history.length, repeated, args.join(' '))) {
+      return;
+    }
+
+    this.pendingSelection = SelectionState.HISTORY_LIST;
+    this.selectionData = { entries, repeatedWords };
+  }
+
+  /**
+   * Handle /cache command - inspect, clear or prune the lookup cache
+   * @param {string[]} args - [], [word], ['clear'], ['clear', word] or ['prune']
+   */
+  handleCache(args = []) {
+    const [action, word] = args.map(a => a.toLowerCase());
+
+    if (!action) {
+      displayCacheStats(getCacheStats(), getTranslationCacheSize());
+    } else if (action === 'clear') {
+      const removed = clearCache(word);
+      if (word) {
+        console.log(removed ? chalk.green(`Removed "${word}" from cache`) : chalk.yellow(`"${word}" is not cached`));
+      } else {
+        console.log(chalk.green(`Cleared ${removed} cached words`));
+      }
+    } else if (action === 'prune') {
+      console.log(chalk.green(`Pruned ${pruneCache()} expired words`));
+    } else {
+      displayCacheInfo(action, getCacheInfo(action));
+    }
+  }
+
+  /**
+   * Handle /offline command - show or toggle offline mode
+   * Going online also re-enables providers skipped after repeated failures
+   * @param {string[]} args - [], ['on'] or ['off']
+   */
+  handleOffline(args = []) {
+    const [mode] = args.map(a => a.toLowerCase());
+
+    if (mode === 'on' || mode === 'off') {
+      setOffline(mode === 'on', 'manual');
+      if (mode === 'off') resetCircuitBreakers();
+      this.rl.setPrompt(this.getPrompt());
+    } else if (mode) {
+      displayError('Usage: /offline [on|off]');
+      return;
+    }
+
+    displayOfflineStatus(isOffline(), getOfflineReason(), getTrippedProviders());
+  }
+
+  async handleHistoryListSelection(input) {
+    const { entries, repeatedWords } = this.selectionData;
+
+    if (input === 'b') {
+      this.clearSelection();
+      return;
+    }
+
+    if (input === 'a' && repeatedWords.length > 0) {
+      this.clearSelection();
+      for (const word of repeatedWords) {
+        const entry = await this.dictionary.lookup(word, { record: false });
+        if (entry && this.notebook.addWord(entry)) {
+          displaySaved(entry.word);
+        } else {
+          displayError(`Failed to save "${word}"`);
+        }
+      }
+      return;
+    }
+
+    const index = parseInt(input) - 1;
+    if (index >= 0 && index < entries.length) {
+      this.clearSelection();
+      // Reopening a history entry is not a new lookup
+      const { word } = entries[index];
+      const entry = await this.dictionary.lookup(word, { record: false });
+      if (entry) {
+        this.showWordWithActions(entry);
+      } else {
+        displayError(`Could not load "${word}"`);
+      }
+    } else {
+      displayError(`Enter 1-${entries.length}`);
+    }
+  }
+
+  async handleSelection(input) {
+    const trimmed = input.trim().toLowerCase();
+
+    // Pasted text is collected as-is until "." (lines may start with "/")
+    if (this.pendingSelection === SelectionState.ANALYZE_PASTE) {
+      this.handleAnalyzePasteInput(input);
+      return;
+    }
+
+    // Notes are saved as typed, even when they start with "/" ([Enter] goes back)
+    if (this.pendingSelection === SelectionState.WORD_NOTES_INPUT) {
+      // Raw input keeps case and Chinese text
+      this.handleWordNotesInput(input.trim());
+      return;
+    }
+
+    // Allow user to break out of selection with commands
+    if (trimmed.startsWith('/')) {
+      this.clearSelection();
+      await this.handleInput(input);
+      return;
+    }
+
+    switch (this.pendingSelection) {
+      case SelectionState.ANALYSIS_RESULTS:
+        await this.handleAnalysisSelection(trimmed);
+        break;
+      case SelectionState.WORD_ACTIONS:
+        await this.handleWordActionSelection(trimmed);
+        break;
+      case SelectionState.SEARCH_RESULTS:
+        await this.handleSearchResultsSelection(trimmed);
+        break;
+      case SelectionState.FAMILY_LIST:
+        await this.handleFamilySelection(trimmed);
+        break;
+      case SelectionState.WORD_TAGS:
+        this.handleWordTagsInput(trimmed);
+        break;
+      case SelectionState.WORD_NOTES:
+        this.handleWordNotesSelection(trimmed);
+        break;
+      case SelectionState.IMPORT_MAPPING:
+        this.handleImportMappingInput(trimmed);
+        break;
+      case SelectionState.EXPORT_OVERWRITE_CONFIRM:
+        await this.handleExportOverwriteConfirm(trimmed);
+        break;
+      case SelectionState.IMPORT_DUPLICATES:
+        this.handleImportDuplicatesSelection(trimmed);
+        break;
+      case SelectionState.NOTEBOOK_DELETE_CONFIRM:
+        this.handleNotebookDeleteConfirm(trimmed);
+        break;
+      case SelectionState.NOTEBOOK_LIST:
+        await this.handleNotebookListSelection(trimmed);
+        break;
+      case SelectionState.HISTORY_LIST:
+        await this.handleHistoryListSelection(trimmed);
+        break;
+      case SelectionState.LEARN_COURSE_SELECT:
+        await this.handleLearnCourseSelection(trimmed);
+        break;
+      case SelectionState.LEARN_MENU:
+        await this.handleLearnMenuSelection(trimmed);
+        break;
+      case SelectionState.FLASHCARD_FRONT:
+        await this.handleFlashcardFrontSelection(trimmed);
+        break;
+      case SelectionState.FLASHCARD_BACK:
+        await this.handleFlashcardBackSelection(trimmed);
+        break;
+      case SelectionState.SESSION_COMPLETE:
+        await this.handleSessionCompleteSelection();
+        break;
+      case SelectionState.CET_EXTRACT_CONFIRM:
+        await this.handleCETExtractConfirm(trimmed);
+        break;
+      case SelectionState.CET_MENU:
+        await this.handleCETMenuSelection(trimmed);
+        break;
+      case SelectionState.CET_FLASHCARD_FRONT:
+        await this.handleCETFlashcardFrontSelection(trimmed);
+        break;
+      case SelectionState.CET_FLASHCARD_BACK:
+        await this.handleCETFlashcardBackSelection(trimmed);
+        break;
+      case SelectionState.CET_SESSION_COMPLETE:
+        await this.handleCETSessionCompleteSelection();
+        break;
+    }
+  }
+
+  async handleWordActionSelection(input) {
+    const { word } = this.selectionData;
+
+    // "s" saves; "s gre verbs" saves with tags
+    const saveMatch = input.match(/^s(?:\s+(.+))?$/);
+    if (saveMatch) {
+      if (!this.notebook.hasWord(word.word)) {
+        const tags = parseTags(saveMatch[1] || '');
+        if (this.notebook.addWord(word, null, tags)) {
+          displaySaved(word.word);
+          if (tags.length > 0) {
+            console.log(chalk.magenta(`  ${tags.map(tag => `#${tag}`).join(' ')}`));
+          }
+        } else {
+          displayError('Failed to save word');
+        }
+      } else {
+        console.log(chalk.yellow(`"${word.word}" is already in notebook`));
+      }
+      this.clearSelection();
+      return;
+    }
+
+    if (input === 'r') {
+      if (this.notebook.hasWord(word.word)) {
+        if (this.notebook.removeWord(word.word)) {
+          console.log(chalk.green(`Removed "${word.word}" from notebook`));
+        } else {
+          displayError('Failed to remove word');
+        }
+      } else {
+        console.log(chalk.yellow(`"${word.word}" is not in notebook`));
+      }
+      this.clearSelection();
+      return;
+    }
+
+    // "t" edits tags; "t gre -old" changes them directly
+    const tagMatch = input.match(/^t(?:\s+(.+))?$/);
+    if (tagMatch && this.notebook.hasWord(word.word)) {
+      if (tagMatch[1]) {
+        this.clearSelection();
+        this.applyTagInput(word.word, tagMatch[1]);
+      } else {
+        const saved = this.notebook.getWord(word.word);
+        displayTagPrompt(saved.word, saved.userTags || [], getSuggestedTags(saved));
+        this.pendingSelection = SelectionState.WORD_TAGS;
+        this.selectionData = { word: saved.word };
+      }
+      return;
+    }
+
+    if (input === 'e' && this.notebook.hasWord(word.word)) {
+      this.showWordNotes(word.word);
+      return;
+    }
+
+    // Numbers jump to synonyms/antonyms, in the order displayed
+    const related = [...(word.synonyms || []), ...(word.antonyms || [])];
+    if (/^\d+$/.test(input) && related.length > 0) {
+      const index = parseInt(input) - 1;
+      if (index >= 0 && index < related.length) {
+        this.clearSelection();
+        await this.handleSearch(related[index].word);
+      } else {
+        displayError(`Enter 1-${related.length}`);
+      }
+      return;
+    }
+
+    if (input === 'f' && this.selectionData.family.members.length > 0) {
+      this.showWordFamily(this.selectionData.family);
+      return;
+    }
+
+    if (input === 'm' && this.selectionData.search) {
+      const { query, matches, heading } = this.selectionData.search;
+      this.showSearchResults(query, matches, 0, heading);
+      return;
+    }
+
+    // Treat unrecognized input as a new word search
+    this.clearSelection();
+    await this.handleSearch(input);
+  }
+
+  handleWordTagsInput(input) {
+    const { word } = this.selectionData;
+    this.clearSelection();
+    if (input) {
+      this.applyTagInput(word, input);
+    }
+  }
+
+  /**
+   * Add and remove tags on a saved word
+   * @param {string} word - The word
+   * @param {string} input - Tags to add, and -tag to remove (e.g. "gre -todo")
+   */
+  applyTagInput(word, input) {
+    const tokens = input.split(/[\s,]+/).filter(Boolean);
+    const remove = tokens.filter(t => t.startsWith('-')).map(t => t.slice(1));
+    const add = tokens.filter(t => !t.startsWith('-')).join(' ');
+
+    try {
+      const tags = this.notebook.tagWord(word, parseTags(add), parseTags(remove.join(' ')));
+      const shown = tags.length > 0 ? chalk.magenta(tags.map(tag => `#${tag}`).join(' ')) : chalk.dim('none');
+      console.log(chalk.green(`Tags for "${word}": `) + shown);
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+
+  showWordNotes(word) {
+    const saved = this.notebook.getWord(word);
+    displayNotesMenu(saved, PERSONAL_FIELDS);
+    this.pendingSelection = SelectionState.WORD_NOTES;
+    this.selectionData = { word: saved.word };
+  }
+
+  handleWordNotesSelection(input) {
+    const { word } = this.selectionData;
+
+    if (input === 'b' || input === '') {
+      this.clearSelection();
+      return;
+    }
+
+    const fields = [...PERSONAL_FIELDS, 'examples'];
+    const index = parseInt(input) - 1;
+    if (!/^\d+$/.test(input) || index < 0 || index >= fields.length) {
+      displayError(`Enter 1-${fields.length} or B`);
+      return;
+    }
+
+    displayNoteInputPrompt(fields[index]);
+    this.pendingSelection = SelectionState.WORD_NOTES_INPUT;
+    this.selectionData = { word, field: fields[index] };
+  }
+
+  handleWordNotesInput(input) {
+    const { word, field } = this.selectionData;
+
+    try {
+      if (field === 'examples') {
+        const deleteMatch = input.match(/^-(\d+)$/);
+        if (deleteMatch) {
+          this.notebook.removeUserExample(word, parseInt(deleteMatch[1]) - 1);
+          console.log(chalk.green('Example removed'));
+        } else if (input) {
+          // "sentence | 翻译"
+          const [en, zh = ''] = input.split('|');
+          if (en.trim()) {
+            this.notebook.addUserExample(word, en, zh);
+            console.log(chalk.green('Example added'));
+          }
+        }
+      } else if (input === '-') {
+        this.notebook.setPersonalField(word, field, '');
+        console.log(chalk.green('Cleared'));
+      } else if (input) {
+        this.notebook.setPersonalField(word, field, input);
+        console.log(chalk.green('Saved'));
+      }
+    } catch (error) {
+      displayError(error.message);
+    }
+
+    this.showWordNotes(word);
+  }
+
+  async handleFamilySelection(input) {
+    const { family } = this.selectionData;
+    const { base, members } = family;
+
+    if (input === 'b') {
+      this.clearSelection();
+      return;
+    }
+
+    if (input === 'a') {
+      this.clearSelection();
+      // Save the base word and every member not yet in the notebook
+      const words = [base, ...members.map(m => m.word)].filter(w => !this.notebook.hasWord(w));
+      if (words.length === 0) {
+        console.log(chalk.yellow('Whole family is already in notebook'));
+        return;
+      }
+      for (const word of words) {
+        const entry = await this.dictionary.lookup(word, { record: false });
+        if (entry && this.notebook.addWord(entry)) {
+          displaySaved(entry.word);
+        } else {
+          displayError(`Failed to save "${word}"`);
+        }
+      }
+      return;
+    }
+
+    if (/^\d+$/.test(input)) {
+      const index = parseInt(input) - 1;
+      if (index >= 0 && index < members.length) {
+        this.clearSelection();
+        await this.handleSearch(members[index].word);
+      } else {
+        displayError(`Enter 1-${members.length}`);
+      }
+      return;
+    }
+
+    // Treat unrecognized input as a new word search
+    this.clearSelection();
+    await this.handleSearch(input);
+  }
+
+  async handleSearchResultsSelection(input) {
+    const { query, matches, page, heading } = this.selectionData;
+    const totalPages = Math.ceil(matches.length / SEARCH_PAGE_SIZE);
+
+    if (input === 'n' || input === 'p') {
+      const nextPage = input === 'n' ? page + 1 : page - 1;
+      if (nextPage >= 0 && nextPage < totalPages) {
+        this.showSearchResults(query, matches, nextPage, heading);
+      } else {
+        console.log(chalk.dim(input === 'n' ? 'Already on the last page' : 'Already on the first page'));
+      }
+      return;
+    }
+
+    if (input === 'b') {
+      this.clearSelection();
+      return;
+    }
+
+    if (/^\d+$/.test(input)) {
+      const index = parseInt(input) - 1;
+      if (index >= 0 && index < matches.length) {
+        this.clearSelection();
+        const entry = await this.dictionary.lookup(matches[index].word);
+        if (entry) {
+          this.showWordWithActions(entry, { query, matches, heading });
+        } else {
+          displayError(`Could not load "${matches[index].word}"`);
+        }
+      } else {
+        displayError(`Enter 1-${matches.length}`);
+      }
+      return;
+    }
+
+    // Treat unrecognized input as a new word search
+    this.clearSelection();
+    await this.handleSearch(input);
+  }
+
+  async handleNotebookListSelection(input) {
+    const { words } = this.selectionData;
+
+    const index = parseInt(input) - 1;
+    if (index >= 0 && index < words.length) {
+      this.clearSelection();
+      this.showWordWithActions(words[index]);
+    } else {
+      displayError(`Enter 1-${words.length}`);
+    }
+  }
+
+  clearSelection() {
+    this.pendingSelection = SelectionState.NONE;
+    this.selectionData = null;
+  }
+
+  /**
+   * Handle /learn command - show the course menu
+   * With tag filters, only notebooks are offered and their sessions use the tagged words
+   * @param {string[]} args - [] or tag filters (e.g. ["tag:gre"])
+   */
+  async handleLearn(args = []) {
+    const tags = parseTagFilters(args);
+    if (!tags) {
+      displayError('Usage: /learn [tag:<tag> ...]');
+      return;
+    }
+
+    // Show course selection menu: every notebook, custom courses, then CET-4 and CET-6
+    const notebooks = this.notebook.getNotebooks().map(n => ({
+      kind: 'notebook',
+      ...n,
+      count: this.notebook.getWords(n.name).filter(w => matchesTags(w, tags)).length
+    }));
+    const choices = assignCourseKeys(tags.length > 0 ? notebooks : [
+      ...notebooks,
+      ...getCourses().map(c => ({ kind: 'course', category: c.category, name: c.name, count: c.count })),
+      { kind: 'cet', category: 'cet4', available: isExtracted('cet4') },
+      { kind: 'cet', category: 'cet6', available: isExtracted('cet6') }
+    ]);
+
+    displayLearnCourseMenu(choices, tags);
+
+    this.pendingSelection = SelectionState.LEARN_COURSE_SELECT;
+    this.selectionData = { choices, tags };
+  }
+
+  async handleLearnCourseSelection(input) {
+    const { choices, tags } = this.selectionData;
+    // [N] picks the active notebook
+    const choice = input === 'n'
+      ? choices.find(c => c.kind === 'notebook' && c.active)
+      : choices.find(c => c.key === input);
+
+    if (choice?.kind === 'notebook') {
+      if (choice.count === 0) {
         displayNoWordsToLearn();
         this.clearSelection();
         return;
       }
 
-      const stats = this.notebook.getLearningStats();
-      const wordsForLearning = this.notebook.getWordsForLearning();
+      const stats = this.notebook.getLearningStats(choice.name, tags);
+      const wordsForLearning = this.notebook.getWordsForLearning(10, choice.name, tags);
 
       displayLearningStats(stats);
       displayLearnPrompt(stats, wordsForLearning.length);
 
       this.pendingSelection = SelectionState.LEARN_MENU;
-      this.selectionData = { wordsForLearning };
-    } else if (input === '2' || input === '4') {
-      // CET-4
-      await this.handleCET('cet4');
-    } else if (input === '3' || input === '6') {
-      // CET-6
-      await this.handleCET('cet6');
+      this.selectionData = { wordsForLearning, notebookName: choice.name };
+    } else if (choice) {
+      // CET word lists and custom courses share the CET flow
+      await this.handleCET(choice.category);
     } else if (input === 'b') {
       this.clearSelection();
     } else {
-      console.log(chalk.dim('Press [1] Notebook, [2] CET-4, [3] CET-6, or [B] to go back'));
+      console.log(chalk.dim('Press the number of a course, or [B] to go back'));
     }
   }
 
   async handleLearnMenuSelection(input) {
     if (input === 's') {
-      const { wordsForLearning } = this.selectionData;
+      const { wordsForLearning, notebookName } = this.selectionData;
 
       if (wordsForLearning.length === 0) {
         console.log(chalk.green('\nAll caught up! Come back later.\n'));
@@ -370,6 +1645,7 @@ export class WordLearnerREPL {
 
       // Start learning session
       this.learningSession = new LearningSession(wordsForLearning);
+      this.learningNotebook = notebookName;
       this.showCurrentFlashcard();
     } else if (input === 'b') {
       this.clearSelection();
@@ -423,7 +1699,7 @@ export class WordLearnerREPL {
       const newLearning = calculateNextReview(word.learning, grade);
 
       // Update in notebook
-      this.notebook.updateWordLearning(word.word, newLearning);
+      this.notebook.updateWordLearning(word.word, newLearning, this.learningNotebook);
 
       // Record grade in session
       this.learningSession.recordGrade(grade);
@@ -445,6 +1721,7 @@ export class WordLearnerREPL {
   async handleSessionCompleteSelection() {
     // Any key continues
     this.learningSession = null;
+    this.learningNotebook = null;
     this.clearSelection();
   }
 
@@ -499,7 +1776,7 @@ export class WordLearnerREPL {
    */
   showCETMenu(category) {
     const stats = getCETLearningStats(category);
-    displayCETMenu(category, stats);
+    displayCETMenu(getCategoryDisplayName(category), stats);
 
     this.pendingSelection = SelectionState.CET_MENU;
     this.selectionData = { category, stats };
@@ -622,10 +1899,17 @@ export class WordLearnerREPL {
    * Handle /progress command - display unified learning statistics
    */
   handleProgress() {
-    const notebookStats = this.notebook.getLearningStats();
+    const notebookStats = this.notebook.getNotebooks().map(n => ({
+      name: n.name,
+      stats: this.notebook.getLearningStats(n.name)
+    }));
     const cet4Stats = isExtracted('cet4') ? getCETLearningStats('cet4') : null;
     const cet6Stats = isExtracted('cet6') ? getCETLearningStats('cet6') : null;
+    const courseStats = getCourses().map(course => ({
+      name: course.name,
+      stats: getCETLearningStats(course.category)
+    }));
 
-    displayProgressSummary(notebookStats, cet4Stats, cet6Stats);
+    displayProgressSummary(notebookStats, cet4Stats, cet6Stats, courseStats);
   }
 }
@@ -0,0 +1,126 @@
+/**
+ * Reverse lookup module - Chinese to English
+ * Builds an index of Chinese terms from ECDICT translation fields
+ */
+
+import { getHeadwordIndex, getExamLevel } from './ecdict.js';
+import { getFrequencyRank } from './search.js';
+
+const MAX_RESULTS = 50;
+
+// Lazily built map of Chinese term -> [{ entry, position }]
+let reverseIndex = null;
+
+/**
+ * Check whether text contains CJK characters
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+export function containsChinese(text) {
+  return /[\u3400-\u9fff\uf900-\ufaff]/.test(text);
+}
+
+/**
+ * Split an ECDICT translation into individual Chinese terms
+ * E.g., "n. 例子, 样本, 实例\\n[化] 实例" -> ["例子", "样本", "实例", "实例"]
+ * @param {string} translation - Raw translation string
+ * @returns {string[]} - Terms in order of appearance
+ */
+function extractTerms(translation) {
+  const terms = [];
+
+  for (const line of translation.split('\\n')) {
+    const text = line
+      .replace(/^[a-z]+\.\s*/i, '')        // part of speech prefix
+      .replace(/\[[^\]]*\]/g, '')          // domain labels like [计]
+      .replace(/[（(][^）)]*[）)]/g, '');   // parenthetical notes
+
+    for (const term of text.split(/[,，;；、\s]+/)) {
+      if (term && containsChinese(term)) {
+        terms.push(term);
+      }
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Build the reverse index over ranked or exam-tagged base forms
+ * Obscure words and inflected forms are left out to keep results useful
+ * @returns {Map<string, Array<{entry: object, position: number}>>}
+ */
+function getReverseIndex() {
+  if (reverseIndex) return reverseIndex;
+
+  reverseIndex = new Map();
+  for (const entry of getHeadwordIndex()) {
+    if (entry.lemma && entry.lemma !== entry.key) continue;
+    if (!entry.frq && !entry.bnc && !entry.collins && !entry.tag) continue;
+
+    extractTerms(entry.translation).forEach((term, position) => {
+      if (!reverseIndex.has(term)) {
+        reverseIndex.set(term, []);
+      }
+      const list = reverseIndex.get(term);
+      // Keep the first (most prominent) position per entry
+      if (!list.some(item => item.entry === entry)) {
+        list.push({ entry, position });
+      }
+    });
+  }
+  return reverseIndex;
+}
+
+/**
+ * Find English words for a Chinese query
+ * Exact term matches come before partial matches; within each group,
+ * words with a more basic exam tag and higher corpus frequency rank first
+ * @param {string} query - Chinese word or phrase
+ * @returns {Array<object>} - Ranked index entries
+ */
+export function reverseLookup(query) {
+  const normalized = query.trim();
+  if (!normalized) return [];
+
+  const index = getReverseIndex();
+  const best = new Map(); // entry -> { quality, position }
+
+  for (const [term, list] of index) {
+    let quality;
+    if (term === normalized) {
+      quality = 0;
+    } else if (term.includes(normalized)) {
+      quality = 1;
+    } else {
+      continue;
+    }
+
+    for (const { entry, position } of list) {
+      const current = best.get(entry);
+      if (!current || quality < current.quality ||
+          (quality === current.quality && position < current.position)) {
+        best.set(entry, { quality, position });
+      }
+    }
+  }
+
+  return [...best.entries()]
+    .sort(([a, matchA], [b, matchB]) => {
+      if (matchA.quality !== matchB.quality) return matchA.quality - matchB.quality;
+
+      const levelA = getExamLevel(a.tag);
+      const levelB = getExamLevel(b.tag);
+      if (levelA !== levelB) return levelA < levelB ? -1 : 1;
+
+      const rankA = getFrequencyRank(a);
+      const rankB = getFrequencyRank(b);
+      if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+      return matchA.position - matchB.position;
+    })
+    .slice(0, MAX_RESULTS)
+    .map(([entry]) => entry);
+}
+
+export default { reverseLookup, containsChinese };
@@ -0,0 +1,296 @@
+/**
+ * Word search module - prefix and pattern matching over ECDICT headwords
+ * Ranks matches by Collins rating and corpus frequency
+ */
+
+import { getHeadwordIndex } from './ecdict.js';
+
+/**
+ * Get the corpus frequency rank of an index entry (COCA first, then BNC)
+ * @param {object} entry - Index entry
+ * @returns {number} - Rank (lower is more frequent), Infinity if unranked
+ */
+export function getFrequencyRank(entry) {
+  return entry.frq || entry.bnc || Infinity;
+}
+
+/**
+ * Compare two index entries by importance (Collins stars, then frequency, then length)
+ * @param {object} a - Index entry
+ * @param {object} b - Index entry
+ * @returns {number} - Sort order
+ */
+export function compareByImportance(a, b) {
+  if (a.collins !== b.collins) return b.collins - a.collins;
+
+  const rankA = getFrequencyRank(a);
+  const rankB = getFrequencyRank(b);
+  if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+  if (a.key.length !== b.key.length) return a.key.length - b.key.length;
+  return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+/**
+ * Find the position of the first key >= prefix in the sorted index
+ * @param {Array<object>} index - Sorted headword index
+ * @param {string} prefix - Lowercase prefix
+ * @returns {number} - Insertion position
+ */
+function lowerBound(index, prefix) {
+  let low = 0;
+  let high = index.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (index[mid].key < prefix) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Find the index entry of an exact headword (case-insensitive)
+ * @param {string} word - The word
+ * @returns {object|null} - Index entry or null
+ */
+export function findIndexEntry(word) {
+  const key = word.toLowerCase().trim();
+  const index = getHeadwordIndex();
+  const entry = index[lowerBound(index, key)];
+  return entry && entry.key === key ? entry : null;
+}
+
+/**
+ * Search ECDICT headwords starting with a prefix (case-insensitive)
+ * An exact match is always ranked first, the rest by importance
+ * @param {string} prefix - Prefix to search for
+ * @returns {Array<object>} - Ranked index entries
+ */
+export function searchPrefix(prefix) {
+  const normalized = prefix.toLowerCase().trim();
+  if (!normalized) return [];
+
+  const index = getHeadwordIndex();
+  const matches = [];
+
+  for (let i = lowerBound(index, normalized); i < index.length; i++) {
+    if (!index[i].key.startsWith(normalized)) break;
+    matches.push(index[i]);
+  }
+
+  return matches.sort((a, b) => {
+    if (a.key === normalized) return -1;
+    if (b.key === normalized) return 1;
+    return compareByImportance(a, b);
+  });
+}
+
+const MAX_FIND_RESULTS = 500;
+const MAX_PATTERN_LENGTH = 50;
+
+// Most variable-length regex quantifiers per /find pattern, and how many of them may be
+// open-ended (* + {n,} {n,m}): each one multiplies the backtracking on every headword,
+// and ".*.*.*1" already takes about 20s over the whole index
+const MAX_QUANTIFIERS = 3;
+const MAX_OPEN_QUANTIFIERS = 2;
+
+// Exam tags accepted by the tag: filter (ECDICT abbreviations)
+const FIND_TAGS = ['zk', 'gk', 'cet4', 'cet6', 'ky', 'toefl', 'ielts', 'gre'];
+
+/**
+ * Parse a numeric range filter value: "5", "5-8" or "5+"
+ * @param {string} value - Raw filter value
+ * @param {string} name - Filter name (for error messages)
+ * @returns {{min: number, max: number}}
+ */
+function parseRange(value, name) {
+  const match = value.match(/^(\d+)(?:(\+)|-(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid ${name} filter: ${value}. Use N, N-M or N+`);
+  }
+  const min = parseInt(match[1]);
+  const max = match[2] ? Infinity : match[3] ? parseInt(match[3]) : min;
+  return { min, max };
+}
+
+/**
+ * Reject regex quantifiers that can backtrack badly over ~760k headwords:
+ * a quantifier right after another one ("a+*", "a{2}+"), a quantified group
+ * containing a quantifier or alternation ("(a+)+", "(a|aa)*"), and more than
+ * MAX_QUANTIFIERS variable-length or MAX_OPEN_QUANTIFIERS open-ended quantifiers ("a.*b.*c.*d")
+ * @param {string} source - Regex source (already limited to the allowed characters)
+ */
+function checkQuantifiers(source) {
+  const QUANTIFIER = /^(?:[*+?]|\{\d*(?:,\d*)?\})/;
+  // One frame per open group: whether it contains a quantifier or |
+  const groups = [{ risky: false }];
+  let previous = null; // 'atom', 'group' (with its frame), 'quantifier' or null
+  let quantifiers = 0;
+  let openQuantifiers = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const quantifier = source.slice(i).match(QUANTIFIER);
+    if (quantifier && previous) {
+      if (previous === 'quantifier') {
+        throw new Error('Regex quantifiers cannot follow each other (e.g. a+*)');
+      }
+      if (previous.risky) {
+        throw new Error('Regex groups with a quantifier or | inside cannot be repeated (e.g. (a+)+)');
+      }
+      groups[groups.length - 1].risky = true;
+      previous = 'quantifier';
+      i += quantifier[0].length - 1;
+
+      // {n} repeats a fixed number of times
+      const [, min, max] = quantifier[0].match(/^\{(\d*)(?:,(\d*))?\}$/) || [];
+      if (max === undefined && min !== undefined) continue;
+      quantifiers++;
+      if (quantifier[0] !== '?' && (max === undefined || max === '' || max !== min)) openQuantifiers++;
+      if (openQuantifiers > MAX_OPEN_QUANTIFIERS || quantifiers > MAX_QUANTIFIERS) {
+        throw new Error(
+          `Regex may use at most ${MAX_QUANTIFIERS} quantifiers, and at most ${MAX_OPEN_QUANTIFIERS} of * + {n,} {n,m} (e.g. ^a.*b.*c$)`
+        );
+      }
+      continue;
+    }
+
+    const char = source[i];
+    if (char === '(') {
+      groups.push({ risky: false });
+      previous = null;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (group.risky) groups[groups.length - 1].risky = true;
+      previous = group;
+    } else if (char === '|') {
+      groups[groups.length - 1].risky = true;
+      previous = null;
+    } else if (char === '[') {
+      // A character class is one atom
+      const end = source.indexOf(']', i + 1);
+      i = end === -1 ? source.length : end;
+      previous = 'atom';
+    } else {
+      previous = char === '^' || char === '$' ? null : 'atom';
+    }
+  }
+}
+
+/**
+ * Compile a wildcard or restricted regex pattern
+ * Wildcards: ? matches one letter, * matches any letters (whole word must match)
+ * Regex: written as /.../ with letters, classes, anchors, groups and quantifiers only;
+ * nested, back-to-back and too many quantifiers are rejected (see checkQuantifiers)
+ * @param {string} pattern - Wildcard pattern or /regex/
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern too long (max ${MAX_PATTERN_LENGTH} characters)`);
+  }
+
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    const source = pattern.slice(1, -1).toLowerCase();
+    // No escapes, backreferences or lookarounds
+    if (!/^[a-z0-9.\[\]^$*+?{},|()'-]+$/.test(source) || source.includes('(?')) {
+      throw new Error('Regex may only use letters, . [ ] ^ $ * + ? { } | ( ) and -');
+    }
+    checkQuantifiers(source);
+    try {
+      return new RegExp(source);
+    } catch {
+      throw new Error(`Invalid regex: ${pattern}`);
+    }
+  }
+
+  const wildcard = pattern.toLowerCase();
+  if (!/^[a-z?*'-]+$/.test(wildcard)) {
+    throw new Error('Wildcard patterns may only use letters, ? and *');
+  }
+  // A run like "*?*?*" is just as many letters then one "*": keeps "*" from repeating back to back
+  const collapsed = wildcard.replace(/[*?]*\*[*?]*/g, run => '?'.repeat(run.split('?').length - 1) + '*');
+  const source = collapsed.replace(/\?/g, '[a-z]').replace(/\*/g, "[a-z'-]*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse /find arguments into a pattern and filters
+ * E.g., ["*tion", "tag:cet6", "collins:3+", "oxford", "len:5-8"]
+ * @param {string[]} args - Command arguments
+ * @returns {{pattern: string, regex: RegExp, filters: Object}}
+ */
+export function parseFindQuery(args) {
+  const filters = { tags: [], collins: null, oxford: false, length: null };
+  let pattern = null;
+
+  for (const arg of args) {
+    const [name, value] = arg.toLowerCase().split(/:(.*)/);
+
+    if (name === 'oxford' && value === undefined) {
+      filters.oxford = true;
+    } else if (name === 'tag' && value !== undefined) {
+      if (!FIND_TAGS.includes(value)) {
+        throw new Error(`Unknown tag: ${value}. Use one of ${FIND_TAGS.join(', ')}`);
+      }
+      filters.tags.push(value);
+    } else if (name === 'collins' && value !== undefined) {
+      filters.collins = parseRange(value, 'collins');
+    } else if (name === 'len' && value !== undefined) {
+      filters.length = parseRange(value, 'len');
+    } else if (pattern === null) {
+      pattern = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (pattern === null) {
+    throw new Error('Missing pattern. Usage: /find <pattern> [filters]');
+  }
+
+  return { pattern, regex: compilePattern(pattern), filters };
+}
+
+/**
+ * Check whether an index entry passes /find filters
+ * @param {object} entry - Index entry
+ * @param {Object} filters - Filters from parseFindQuery()
+ * @returns {boolean}
+ */
+function matchesFilters(entry, filters) {
+  if (filters.oxford && !entry.oxford) return false;
+
+  if (filters.tags.length > 0) {
+    const tags = entry.tag.split(/\s+/);
+    if (!filters.tags.every(tag => tags.includes(tag))) return false;
+  }
+
+  if (filters.collins) {
+    const { min, max } = filters.collins;
+    if (entry.collins < min || entry.collins > max) return false;
+  }
+
+  if (filters.length) {
+    const { min, max } = filters.length;
+    if (entry.key.length < min || entry.key.length > max) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find ECDICT headwords matching a pattern and filters
+ * @param {{regex: RegExp, filters: Object}} query - Parsed query from parseFindQuery()
+ * @returns {Array<object>} - Index entries ranked by importance (at most MAX_FIND_RESULTS)
+ */
+export function findWords({ regex, filters }) {
+  const matches = getHeadwordIndex().filter(
+    entry => regex.test(entry.key) && matchesFilters(entry, filters)
+  );
+  return matches.sort(compareByImportance).slice(0, MAX_FIND_RESULTS);
+}
+
+export default { searchPrefix, findIndexEntry, findWords, parseFindQuery, compareByImportance, getFrequencyRank };
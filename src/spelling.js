@@ -0,0 +1,140 @@
+/**
+ * Spelling suggestion module - "did you mean" over ECDICT headwords
+ * Combines edit distance (with transpositions) and Soundex phonetic similarity
+ */
+
+import { getHeadwordIndex } from './ecdict.js';
+import { compareByImportance } from './search.js';
+
+const MAX_SUGGESTIONS = 8;
+
+// Soundex digit for each consonant group (vowels, h, w, y are 0)
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+// Lazily built list of single-word candidates with their phonetic codes
+let candidates = null;
+
+/**
+ * Compute the Soundex code of a word (e.g. "robert" -> "R163")
+ * @param {string} word - Lowercase alphabetic word
+ * @returns {string} - Four-character Soundex code
+ */
+export function soundex(word) {
+  if (!word) return '';
+
+  let code = word[0].toUpperCase();
+  let previous = SOUNDEX_CODES[word[0]] || '';
+
+  for (let i = 1; i < word.length && code.length < 4; i++) {
+    const char = word[i];
+    const digit = SOUNDEX_CODES[char] || '';
+    if (digit && digit !== previous) {
+      code += digit;
+    }
+    // h and w do not separate letters with the same code
+    if (char !== 'h' && char !== 'w') {
+      previous = digit;
+    }
+  }
+
+  return code.padEnd(4, '0');
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance with early exit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop once the distance must exceed this
+ * @returns {number} - Edit distance, or maxDistance + 1 if exceeded
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      // Adjacent transposition ("recieve" -> "receive")
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Get single-word alphabetic headwords with precomputed Soundex codes
+ * @returns {Array<{entry: object, code: string, common: boolean}>}
+ */
+function getCandidates() {
+  if (candidates) return candidates;
+
+  candidates = [];
+  for (const entry of getHeadwordIndex()) {
+    if (!/^[a-z]+$/.test(entry.key)) continue;
+    candidates.push({
+      entry,
+      code: soundex(entry.key),
+      // Words with a corpus rank, Collins stars or exam tag are worth suggesting first
+      common: Boolean(entry.frq || entry.bnc || entry.collins || entry.tag)
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Suggest correctly spelled headwords for a misspelled word
+ * Score = edit distance, minus a bonus for sounding alike, plus a penalty for rare words
+ * @param {string} word - The word that was not found
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<object>} - Ranked index entries
+ */
+export function suggestSpelling(word, limit = MAX_SUGGESTIONS) {
+  const normalized = word.toLowerCase().trim();
+  if (!/^[a-z]+$/.test(normalized)) return [];
+
+  // Short words tolerate fewer edits; sound-alike words one more
+  const maxDistance = normalized.length <= 4 ? 1 : 2;
+  const code = soundex(normalized);
+  const scored = [];
+
+  for (const candidate of getCandidates()) {
+    const soundsAlike = candidate.code === code;
+    const allowed = soundsAlike ? maxDistance + 1 : maxDistance;
+    const distance = editDistance(normalized, candidate.entry.key, allowed);
+    if (distance === 0 || distance > allowed) continue;
+
+    const score = distance - (soundsAlike ? 0.5 : 0) + (candidate.common ? 0 : 1);
+    scored.push({ entry: candidate.entry, score });
+  }
+
+  return scored
+    .sort((a, b) => a.score - b.score || compareByImportance(a.entry, b.entry))
+    .slice(0, limit)
+    .map(s => s.entry);
+}
+
+export default { suggestSpelling, editDistance, soundex };
@@ -0,0 +1,92 @@
+/**
+ * Subtitle parser - reads SRT and WebVTT cues for vocabulary import
+ * Markup, speaker labels and sound descriptions are stripped from cue text
+ */
+
+import { extname } from 'path';
+
+export const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+
+// "00:01:02,345 --> 00:01:04,000" (SRT) or "01:02.345 --> 01:04.000 align:start" (VTT)
+const TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/;
+
+/**
+ * Check whether a path names a subtitle file
+ * @param {string} path - File path
+ * @returns {boolean}
+ */
+export function isSubtitleFile(path) {
+  return SUBTITLE_EXTENSIONS.includes(extname(path).toLowerCase());
+}
+
+/**
+ * Parse a cue timestamp into milliseconds
+ * @param {string} text - "hh:mm:ss,mmm", "hh:mm:ss.mmm" or "mm:ss.mmm"
+ * @returns {number}
+ */
+function parseTimestamp(text) {
+  const [clock, fraction] = text.split(/[,.]/);
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+  return seconds * 1000 + parseInt(fraction.padEnd(3, '0'));
+}
+
+/**
+ * Format milliseconds as a cue start time
+ * @param {number} ms - Milliseconds
+ * @returns {string} - "hh:mm:ss"
+ */
+export function formatTimestamp(ms) {
+  const total = Math.floor(ms / 1000);
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+    .map(n => String(n).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Strip markup and non-speech text from a cue line
+ * @param {string} line - Raw cue line
+ * @returns {string} - Spoken text (may be empty)
+ */
+function cleanCueLine(line) {
+  return line
+    .replace(/<[^>]*>/g, '')                // <i>, <b>, <v Speaker>, <00:01.000>
+    .replace(/\{\\[^}]*\}/g, '')            // {\an8} positioning
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, '')   // [music], (laughs)
+    .replace(/^\s*-\s*/, '')                // dialogue dash
+    .replace(/^[A-Z][A-Z .'-]*:\s*/, '')    // SPEAKER:
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/[♪♫]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse SRT or WebVTT content into cues
+ * Blocks without a timing line (VTT header, NOTE, STYLE, REGION) are skipped
+ * @param {string} content - Subtitle file content
+ * @returns {Array<{start: number, end: number, time: string, text: string}>} - Cues with spoken text, in file order
+ */
+export function parseSubtitles(content) {
+  const cues = [];
+  const blocks = content.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+
+  for (const block of blocks) {
+    const lines = block.split(/\r?\n/);
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line.trim()));
+    if (timingIndex < 0) continue;
+
+    const [, start, end] = lines[timingIndex].trim().match(TIMING_PATTERN);
+    const text = lines.slice(timingIndex + 1).map(cleanCueLine).filter(Boolean).join(' ');
+    if (!text) continue;
+
+    const startMs = parseTimestamp(start);
+    cues.push({ start: startMs, end: parseTimestamp(end), time: formatTimestamp(startMs), text });
+  }
+
+  return cues;
+}
+
+export default { parseSubtitles, isSubtitleFile, formatTimestamp, SUBTITLE_EXTENSIONS };
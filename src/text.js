@@ -0,0 +1,70 @@
+/**
+ * Text helpers - word tokens and sentence splitting for English text
+ */
+
+/**
+ * Split text into words, keeping their original case
+ * @param {string} text - English text
+ * @returns {string[]}
+ */
+export function splitWords(text) {
+  return text.match(/[A-Za-z]+(?:['-][A-Za-z]+)*/g) || [];
+}
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - English text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return splitWords(text).map(word => word.toLowerCase());
+}
+
+/**
+ * Split text into sentences, remembering the line each sentence starts on
+ * Consecutive non-empty lines form a paragraph, so hard-wrapped text is handled
+ * @param {string} content - Text or file content
+ * @returns {Array<{text: string, line: number}>}
+ */
+export function splitSentences(content) {
+  const sentences = [];
+  const lines = content.split(/\r?\n/);
+  let paragraph = '';
+  let lineStarts = []; // [offset in paragraph, line number]
+
+  const flush = () => {
+    const pattern = /[^.!?]+(?:[.!?]+["'”’)]*|$)/g;
+    let match;
+    while ((match = pattern.exec(paragraph)) !== null) {
+      if (match[0] === '') {
+        pattern.lastIndex++;
+        continue;
+      }
+      const leading = match[0].length - match[0].trimStart().length;
+      const text = match[0].trim();
+      if (!text) continue;
+      const offset = match.index + leading;
+      const start = lineStarts.filter(([lineOffset]) => lineOffset <= offset).pop();
+      sentences.push({ text, line: start[1] });
+    }
+    paragraph = '';
+    lineStarts = [];
+  };
+
+  lines.forEach((rawLine, i) => {
+    // Markdown headings end a paragraph; list markers are dropped
+    const line = rawLine.trim().replace(/^(?:[-*+]|\d+[.)])\s+/, '');
+    if (!line || line.startsWith('#')) {
+      if (paragraph) flush();
+      return;
+    }
+    if (paragraph) paragraph += ' ';
+    lineStarts.push([paragraph.length, i + 1]);
+    paragraph += line;
+  });
+  if (paragraph) flush();
+
+  return sentences;
+}
+
+export default { splitWords, tokenize, splitSentences };
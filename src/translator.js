@@ -1,47 +1,242 @@
 /**
- * Azure Translator module
- * Translates example sentences from English to Chinese
+ * Translation module - English to Chinese translation backends and sentence cache
+ * Backends (registered as 'translate' providers in providers.js):
+ *   Azure Translator
+ *   OpenAI-compatible chat completions endpoint (OpenAI, Azure OpenAI, local LLM servers)
+ *   Local HTTP stand-in (any service accepting { texts, from, to })
+ * Translated sentences are cached in data/translations.json and never re-translated
  */
 
 import 'dotenv/config';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { isOffline } from './network.js';
+import { fetchJson } from './http.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'data');
+const TRANSLATIONS_PATH = join(DATA_DIR, 'translations.json');
 
 const AZURE_ENDPOINT = process.env.AZURE_TRANSLATOR_ENDPOINT || 'https://api.cognitive.microsofttranslator.com';
 const AZURE_KEY = process.env.AZURE_TRANSLATOR_KEY;
 const AZURE_REGION = process.env.AZURE_TRANSLATOR_REGION || 'eastus';
 
+// OpenAI-compatible chat endpoint, e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+const OPENAI_BASE_URL = process.env.TRANSLATE_OPENAI_BASE_URL;
+const OPENAI_KEY = process.env.TRANSLATE_OPENAI_KEY;
+const OPENAI_MODEL = process.env.TRANSLATE_OPENAI_MODEL || 'gpt-4o-mini';
+
+// Local HTTP translation service
+const LOCAL_URL = process.env.TRANSLATE_LOCAL_URL;
+
 /**
- * Translate an array of texts from English to Chinese
+ * Translate an array of texts from English to Chinese with Azure Translator
  * @param {string[]} texts - Array of English texts to translate
- * @returns {Promise<string[]>} - Array of Chinese translations (empty strings on failure)
+ * @param {Object} options - { signal } to cancel the request
+ * @returns {Promise<string[]>} - Array of Chinese translations (empty strings if not configured)
+ * @throws {Error} - On network or server errors
  */
-export async function translateToZh(texts) {
-  if (!AZURE_KEY || !texts.length) {
+export async function translateToZh(texts, { signal } = {}) {
+  if (!AZURE_KEY || !texts.length || isOffline()) {
     return texts.map(() => '');
   }
 
-  try {
-    const response = await fetch(
-      `${AZURE_ENDPOINT}/translate?api-version=3.0&to=zh-Hans`,
-      {
-        method: 'POST',
-        headers: {
-          'Ocp-Apim-Subscription-Key': AZURE_KEY,
-          'Ocp-Apim-Subscription-Region': AZURE_REGION,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(texts.map(text => ({ Text: text })))
-      }
-    );
-
-    if (!response.ok) {
-      return texts.map(() => '');
-    }
+  const data = await fetchJson(`${AZURE_ENDPOINT}/translate?api-version=3.0&to=zh-Hans`, {
+    method: 'POST',
+    headers: {
+      'Ocp-Apim-Subscription-Key': AZURE_KEY,
+      'Ocp-Apim-Subscription-Region': AZURE_REGION,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(texts.map(text => ({ Text: text }))),
+    signal
+  });
+
+  return texts.map((_, i) => data?.[i]?.translations?.[0]?.text || '');
+}
 
-    const data = await response.json();
-    return data.map(item => item.translations?.[0]?.text || '');
+/**
+ * Build the system prompt for the OpenAI-compatible backend
+ * @param {string} style - 'sentence' for example sentences, 'gloss' for dictionary definitions
+ * @param {string} word - Headword the definitions belong to (gloss style)
+ * @returns {string}
+ */
+function buildTranslationPrompt(style, word) {
+  if (style === 'gloss') {
+    return `You are an English-Chinese lexicographer. Each input is an English definition of "${word}". ` +
+      'Give the concise Simplified Chinese gloss a learner\'s dictionary would print for that sense: ' +
+      'one to four short Chinese words or phrases separated by "，", no explanation. ' +
+      'Return ONLY a JSON array of strings, one gloss per input, in the same order.';
+  }
+  return 'Translate each English text into natural Simplified Chinese. ' +
+    'Return ONLY a JSON array of strings, one translation per input, in the same order.';
+}
+
+/**
+ * Translate texts with an OpenAI-compatible chat completions endpoint
+ * @param {string[]} texts - English texts
+ * @param {Object} options - { signal, style: 'sentence'|'gloss', word }
+ * @returns {Promise<string[]>} - Chinese translations (empty strings where the reply is unusable)
+ * @throws {Error} - On network or server errors
+ */
+export async function translateWithOpenAI(texts, { signal, style = 'sentence', word = '' } = {}) {
+  if (!OPENAI_BASE_URL || !texts.length) {
+    return texts.map(() => '');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (OPENAI_KEY) {
+    headers.Authorization = `Bearer ${OPENAI_KEY}`;
+  }
+
+  const data = await fetchJson(`${OPENAI_BASE_URL.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: OPENAI_MODEL,
+      messages: [
+        { role: 'system', content: buildTranslationPrompt(style, word) },
+        { role: 'user', content: JSON.stringify(texts) }
+      ],
+      temperature: 0
+    }),
+    signal
+  });
+
+  const content = data?.choices?.[0]?.message?.content?.trim() || '';
+
+  // Some models wrap JSON in a code fence
+  let translations;
+  try {
+    translations = JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, ''));
   } catch {
     return texts.map(() => '');
   }
+
+  if (!Array.isArray(translations)) return texts.map(() => '');
+  return texts.map((_, i) => (typeof translations[i] === 'string' ? translations[i].trim() : ''));
+}
+
+/**
+ * Translate texts with a local HTTP service
+ * Request: POST { texts, from: 'en', to: 'zh-Hans' }
+ * Response: { translations: string[] } or a plain array of strings
+ * @param {string[]} texts - English texts
+ * @param {Object} options - { signal } to cancel the request
+ * @returns {Promise<string[]>} - Chinese translations
+ * @throws {Error} - On network or server errors
+ */
+export async function translateWithLocal(texts, { signal } = {}) {
+  if (!LOCAL_URL || !texts.length) {
+    return texts.map(() => '');
+  }
+
+  const data = await fetchJson(LOCAL_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ texts, from: 'en', to: 'zh-Hans' }),
+    signal
+  });
+
+  const translations = Array.isArray(data) ? data : data?.translations || [];
+  return texts.map((_, i) => (typeof translations[i] === 'string' ? translations[i] : ''));
+}
+
+// ==================== Sentence cache ====================
+
+// Lazily loaded translations keyed by sentence
+let sentences = null;
+
+/**
+ * Normalize a sentence for use as a cache key
+ * Definition glosses are kept apart from sentence translations of the same text,
+ * and per headword, since one definition ("a small piece") glosses differently per word
+ * @param {string} text - English text
+ * @param {string} style - 'sentence' or 'gloss'
+ * @param {string} word - Headword the definition belongs to (gloss style)
+ * @returns {string}
+ */
+function toKey(text, style = 'sentence', word = '') {
+  const key = text.trim().replace(/\s+/g, ' ');
+  return style === 'sentence' ? key : `[${style}:${word.trim().toLowerCase()}] ${key}`;
+}
+
+/**
+ * Load cached translations from disk on first use
+ * @returns {Object} - Records keyed by sentence
+ */
+function getSentences() {
+  if (sentences) return sentences;
+
+  try {
+    sentences = existsSync(TRANSLATIONS_PATH)
+      ? JSON.parse(readFileSync(TRANSLATIONS_PATH, 'utf-8')).sentences || {}
+      : {};
+  } catch {
+    sentences = {};
+  }
+  return sentences;
+}
+
+/**
+ * Get the cached translation of a sentence
+ * @param {string} text - English text
+ * @param {string} style - 'sentence' or 'gloss'
+ * @param {string} word - Headword the definition belongs to (gloss style)
+ * @returns {string|null} - Chinese translation or null if never translated
+ */
+export function getCachedTranslation(text, style = 'sentence', word = '') {
+  return getSentences()[toKey(text, style, word)]?.zh || null;
+}
+
+/**
+ * Store translations (empty ones are skipped so they are retried later)
+ * @param {string[]} texts - English texts
+ * @param {string[]} translations - Chinese translations, same order
+ * @param {string} backend - Name of the backend that produced them
+ * @param {string} style - 'sentence' or 'gloss'
+ * @param {string} word - Headword the definitions belong to (gloss style)
+ */
+export function cacheTranslations(texts, translations, backend, style = 'sentence', word = '') {
+  const all = getSentences();
+  const translatedAt = new Date().toISOString();
+  let added = 0;
+
+  texts.forEach((text, i) => {
+    if (translations[i]) {
+      all[toKey(text, style, word)] = { zh: translations[i], backend, translatedAt };
+      added++;
+    }
+  });
+
+  if (added === 0) return;
+
+  try {
+    if (!existsSync(DATA_DIR)) {
+      mkdirSync(DATA_DIR, { recursive: true });
+    }
+    writeFileSync(TRANSLATIONS_PATH, JSON.stringify({ sentences: all }), 'utf-8');
+  } catch (error) {
+    console.error(`Failed to save translation cache: ${error.message}`);
+  }
+}
+
+/**
+ * Get the number of cached sentence translations
+ * @returns {number}
+ */
+export function getTranslationCacheSize() {
+  return Object.keys(getSentences()).length;
 }
 
-export default { translateToZh };
+export default {
+  translateToZh,
+  translateWithOpenAI,
+  translateWithLocal,
+  getCachedTranslation,
+  cacheTranslations,
+  getTranslationCacheSize
+};
@@ -1,9 +1,84 @@
 import chalk from 'chalk';
 import { LEVEL_NAMES, GRADES } from './learn.js';
+import { getShortGloss, getFrequencyBand, getTagName } from './ecdict.js';
 
 const LINE = '━'.repeat(50);
 
-export function displayWordDetails(wordEntry) {
+/**
+ * Format the word importance panel: Collins stars, Oxford 3000 badge, frequency rank and band
+ * @param {Object} wordEntry - Entry with optional collins, oxford, frq and bnc fields
+ * @returns {string} - Formatted line, or '' if the entry has no importance data
+ */
+function formatImportance(wordEntry) {
+  const parts = [];
+
+  if (wordEntry.collins > 0) {
+    const stars = '★'.repeat(wordEntry.collins) + '☆'.repeat(5 - wordEntry.collins);
+    parts.push(chalk.magenta(`Collins ${stars}`));
+  }
+  if (wordEntry.oxford) {
+    parts.push(chalk.blue('Oxford 3000'));
+  }
+
+  const ranks = [];
+  if (wordEntry.frq > 0) ranks.push(`COCA #${wordEntry.frq.toLocaleString()}`);
+  if (wordEntry.bnc > 0) ranks.push(`BNC #${wordEntry.bnc.toLocaleString()}`);
+  if (ranks.length > 0) {
+    parts.push(chalk.white(ranks.join(' · ')) + chalk.dim(` (${getFrequencyBand(wordEntry)})`));
+  }
+
+  return parts.join('  ');
+}
+
+/**
+ * Format user tags as "#tag #tag"
+ * @param {string[]|undefined} tags - User tags
+ * @returns {string} - Formatted tags, or '' if there are none
+ */
+function formatUserTags(tags) {
+  return tags?.length ? chalk.magenta(tags.map(tag => `#${tag}`).join(' ')) : '';
+}
+
+/**
+ * Display the learner's own meaning above dictionary meanings
+ * @param {Object|null} saved - Notebook entry
+ */
+function displayOwnGloss(saved) {
+  if (saved?.gloss) {
+    console.log(chalk.green('[mine] ') + chalk.bold.white(saved.gloss));
+  }
+}
+
+/**
+ * Display the learner's mnemonic, note and own example sentences
+ * @param {Object|null} saved - Notebook entry
+ * @param {Object} options - { examples: false } to leave out user examples (shown with the other examples)
+ * @returns {boolean} - Whether anything was shown
+ */
+function displayPersonalNotes(saved, { examples = true } = {}) {
+  if (!saved) return false;
+
+  if (saved.mnemonic) {
+    console.log(chalk.yellow('Mnemonic: ') + chalk.white(saved.mnemonic));
+  }
+  if (saved.note) {
+    console.log(chalk.yellow('Note: ') + chalk.white(saved.note));
+  }
+  if (examples && saved.userExamples?.length > 0) {
+    console.log(chalk.yellow('My examples:'));
+    for (const example of saved.userExamples) {
+      displayExample(example);
+    }
+  }
+  return Boolean(saved.mnemonic || saved.note || (examples && saved.userExamples?.length > 0));
+}
+
+/**
+ * Display a word entry
+ * @param {Object} wordEntry - Word entry
+ * @param {Object|null} saved - The word's notebook entry, for user tags and personal notes
+ */
+export function displayWordDetails(wordEntry, saved = null) {
   console.log();
   console.log(chalk.cyan(LINE));
   console.log(chalk.bold.white(`${wordEntry.word}  `) + chalk.yellow(wordEntry.pronunciation || ''));
@@ -14,55 +89,189 @@ export function displayWordDetails(wordEntry) {
     console.log(tagStr);
   }
 
+  // User tags of the saved notebook entry
+  const userTags = formatUserTags(saved?.userTags);
+  if (userTags) {
+    console.log(userTags);
+  }
+
+  const importance = formatImportance(wordEntry);
+  if (importance) {
+    console.log(importance);
+  }
+
   console.log(chalk.cyan(LINE));
+
+  // Show how an inflected search resolved to this word
+  if (wordEntry.inflectedFrom) {
+    const { word, form } = wordEntry.inflectedFrom;
+    console.log(chalk.dim(`${word} → ${wordEntry.word}, ${form}`));
+  }
   console.log();
 
+  if (saved?.gloss) {
+    displayOwnGloss(saved);
+    console.log();
+  }
+
   for (const def of wordEntry.definitions) {
     // Show part of speech and Chinese meaning (preferred)
-    const meaning = def.meaningZh || def.meaning || '';
-    console.log(chalk.green(`[${def.partOfSpeech}] `) + chalk.white(meaning));
+    console.log(chalk.green(`[${def.partOfSpeech}] `) + formatMeaning(def));
+    if (def.machineTranslated && def.meaning) {
+      console.log(chalk.dim(`    ${def.meaning}`));
+    }
 
     if (def.examples && def.examples.length > 0) {
       console.log(chalk.dim('Examples:'));
       for (const example of def.examples) {
-        // Handle both formats: {en, zh} or just string
-        if (typeof example === 'string') {
-          console.log(chalk.white(`  • ${example}`));
-        } else {
-          console.log(chalk.white(`  • ${example.en}`));
-          if (example.zh) {
-            console.log(chalk.gray(`    ${example.zh}`));
-          }
-        }
+        displayExample(example);
       }
     }
     console.log();
   }
 
+  if (displayPersonalNotes(saved)) {
+    console.log();
+  }
+  displayRelatedWords(wordEntry);
+  displayInflections(wordEntry.inflections);
+
   if (wordEntry.sources && wordEntry.sources.length > 0) {
     console.log(chalk.dim(`Source: ${wordEntry.sources.join(', ')}`));
   }
   console.log();
 }
 
-export function displaySearchResults(results) {
+/**
+ * Display synonyms and antonyms as numbered links (numbering runs across both)
+ * @param {Object} wordEntry - Entry with optional synonyms/antonyms [{ word, gloss }]
+ */
+function displayRelatedWords(wordEntry) {
+  const groups = [['Synonyms', wordEntry.synonyms || []], ['Antonyms', wordEntry.antonyms || []]];
+  let number = 1;
+
+  for (const [label, words] of groups) {
+    if (words.length === 0) continue;
+    const links = words.map(({ word, gloss }) => {
+      const short = gloss.replace(/^[a-z]+\.\s*/i, '').split(/[,，;；]/)[0];
+      return chalk.cyan(`[${number++}] `) + chalk.white(word) + (short ? chalk.gray(` ${short}`) : '');
+    });
+    console.log(chalk.dim(`${label}:`));
+    console.log(`  ${links.join('  ')}`);
+  }
+
+  if (number > 1) console.log();
+}
+
+/**
+ * Display the inflection table (past tense, plural, comparative, etc.)
+ * @param {Array<{name: string, form: string}>} inflections - Inflected forms
+ */
+function displayInflections(inflections) {
+  if (!inflections || inflections.length === 0) return;
+
+  console.log(chalk.dim('Forms:'));
+  for (const { name, form } of inflections) {
+    console.log(chalk.gray(`  ${name.padEnd(24)}`) + chalk.white(form));
+  }
+  console.log();
+}
+
+/**
+ * Display one page of prefix search matches
+ * @param {string} query - The searched prefix
+ * @param {Array<object>} matches - Ranked index entries
+ * @param {number} page - Zero-based page number
+ * @param {number} pageSize - Matches per page
+ * @param {string} heading - Optional heading (defaults to 'Matches for "<query>"')
+ */
+export function displaySearchResults(query, matches, page, pageSize, heading = null) {
+  const totalPages = Math.ceil(matches.length / pageSize);
+  const start = page * pageSize;
+
   console.log();
-  console.log(chalk.cyan('Matches:'));
-  results.forEach((result, index) => {
-    console.log(chalk.white(`  ${index + 1}. ${result.word}`));
+  console.log(chalk.cyan(`━━━ ${heading || `Matches for "${query}"`} (${matches.length}) ━━━`));
+  matches.slice(start, start + pageSize).forEach((match, i) => {
+    const gloss = getShortGloss(match).substring(0, 40);
+    const stars = match.collins > 0 ? chalk.magenta(` ${'★'.repeat(match.collins)}`) : '';
+    console.log(chalk.white(`  ${start + i + 1}. ${match.word}`) + stars + chalk.dim(` - ${gloss}`));
   });
   console.log();
+
+  const nav = [];
+  if (page > 0) nav.push('[P]rev');
+  if (page < totalPages - 1) nav.push('[N]ext');
+  nav.push('[B]ack');
+  const last = Math.min(start + pageSize, matches.length);
+  console.log(chalk.cyan(`Select [${start + 1}-${last}]  ${nav.join('  ')}`) +
+              chalk.dim(totalPages > 1 ? `  (page ${page + 1}/${totalPages})` : ''));
 }
 
-export function displayHistory(history) {
-  if (history.length === 0) return;
+/**
+ * Format a search timestamp relative to today
+ * @param {string} isoDate - ISO timestamp
+ * @returns {string} - "today 14:03", "yesterday" or a date
+ */
+function formatSearchedAt(isoDate) {
+  const date = new Date(isoDate);
+  const now = new Date();
+  const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+  if (date.toDateString() === now.toDateString()) {
+    const time = date.toTimeString().slice(0, 5);
+    return `today ${time}`;
+  }
+  if (date.toDateString() === yesterday.toDateString()) {
+    return 'yesterday';
+  }
+  return date.toISOString().slice(0, 10);
+}
 
-  console.log();
-  console.log(chalk.dim('Recent searches:'));
-  history.slice(0, 5).forEach((word, index) => {
-    console.log(chalk.gray(`  ${index + 1}. ${word}`));
+/**
+ * Display search history with lookup counts
+ * @param {Array<Object>} entries - History entries to list
+ * @param {number} total - Number of entries matching the filters
+ * @param {Set<string>} repeated - Lowercase words looked up often but not saved
+ * @param {string} filterLabel - Applied filters, for the heading
+ * @returns {boolean} - False if there is nothing to show
+ */
+export function displayHistory(entries, total, repeated, filterLabel = '') {
+  if (entries.length === 0) {
+    const suffix = filterLabel ? ` matching "${filterLabel}"` : '';
+    console.log(chalk.yellow(`\nNo search history${suffix}.\n`));
+    return false;
+  }
+
+  const heading = filterLabel ? `Search History: ${filterLabel}` : 'Search History';
+  console.log(chalk.cyan(`\n━━━ ${heading} (${total}) ━━━`));
+  entries.forEach((entry, i) => {
+    const count = entry.count > 1 ? chalk.magenta(` ×${entry.count}`) : '';
+    const tags = entry.tags?.length ? chalk.blue(` [${entry.tags.join('] [')}]`) : '';
+    const when = chalk.dim(`  ${formatSearchedAt(entry.lastSearchedAt)}`);
+    const hint = repeated.has(entry.word.toLowerCase()) ? chalk.yellow('  not saved') : '';
+    console.log(chalk.white(`  ${i + 1}. ${entry.word}`) + count + tags + when + hint);
   });
+  if (total > entries.length) {
+    console.log(chalk.dim(`  ... ${total - entries.length} more (filter with /history today, /history cet6, ...)`));
+  }
   console.log();
+
+  const actions = [`Select [1-${entries.length}]`];
+  if (repeated.size > 0) {
+    actions.push(`[A] Save ${repeated.size} repeated word${repeated.size > 1 ? 's' : ''}`);
+  }
+  actions.push('[B]ack');
+  console.log(chalk.cyan(actions.join('  ')));
+  return true;
+}
+
+/**
+ * Offer to save a word that has been looked up repeatedly
+ * @param {string} word - The word
+ * @param {number} count - Number of lookups
+ */
+export function displayRepeatLookupHint(word, count) {
+  console.log(chalk.yellow(`You've looked up "${word}" ${count} times. Press [S] to save it to your notebook.`));
 }
 
 export function displayNotFound(query) {
@@ -78,6 +287,31 @@ export function displayWelcome() {
   console.log();
 }
 
+/**
+ * Display offline mode status
+ * @param {boolean} offline - Whether offline mode is active
+ * @param {string|null} reason - 'flag', 'config', 'detected', 'manual' or null
+ * @param {string[]} skippedProviders - Providers skipped after repeated failures
+ */
+export function displayOfflineStatus(offline, reason, skippedProviders = []) {
+  if (!offline) {
+    console.log(chalk.green('Online: remote dictionaries and translation enabled'));
+    if (skippedProviders.length > 0) {
+      console.log(chalk.yellow(`Not responding, skipped this session: ${skippedProviders.join(', ')}`));
+      console.log(chalk.dim('Use /offline off to retry them'));
+    }
+    return;
+  }
+
+  const reasons = {
+    flag: 'started with --offline',
+    config: 'WORD_LEARNER_OFFLINE is set',
+    detected: 'no network detected',
+    manual: 'turned on with /offline'
+  };
+  console.log(chalk.yellow(`Offline mode (${reasons[reason] || reason}): ECDICT and cached examples only`));
+}
+
 export function displayMainMenu(cacheSize = 0) {
   console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
   console.log(chalk.white('  1. Search word'));
@@ -102,15 +336,28 @@ export function displayHelp() {
   console.log();
   console.log(chalk.cyan('━━━ Commands ━━━'));
   console.log(chalk.white('  /search <word>  ') + chalk.dim('or') + chalk.white('  /s <word>  ') + chalk.dim('- Search for a word'));
-  console.log(chalk.white('  /notebook       ') + chalk.dim('or') + chalk.white('  /n         ') + chalk.dim('- View notebook'));
-  console.log(chalk.white('  /learn          ') + chalk.dim('or') + chalk.white('  /l         ') + chalk.dim('- Start learning (Notebook, CET-4, CET-6)'));
+  console.log(chalk.white('  /find <pattern> ') + chalk.dim('or') + chalk.white('  /f <pat>   ') + chalk.dim('- Find words by pattern (e.g. *tion tag:cet6)'));
+  console.log(chalk.white('  /compare <w> <w>') + chalk.dim('or') + chalk.white('  /cmp       ') + chalk.dim('- Compare words side by side (e.g. affect effect)'));
+  console.log(chalk.white('  /analyze [file]              ') + chalk.dim('- Find unknown words in a text (paste if no file)'));
+  console.log(chalk.white('  /subtitles <file> [level]    ') + chalk.dim('- Import words from .srt/.vtt (level: cet4, cet6, above)'));
+  console.log(chalk.white('  /notebook       ') + chalk.dim('or') + chalk.white('  /n         ') + chalk.dim('- View the active notebook'));
+  console.log(chalk.white('  /notebook <action> [name]    ') + chalk.dim('- Manage notebooks (list, new, use, rename, delete)'));
+  console.log(chalk.white('  /notebook copy|move <w> <nb> ') + chalk.dim('- Copy or move a word to another notebook'));
+  console.log(chalk.white('  /notebook tag:<tag>|tags     ') + chalk.dim('- List words with a tag, or all tags'));
+  console.log(chalk.white('  /export <file> [tag:x]       ') + chalk.dim('- Export the notebook to .csv, .tsv or .json'));
+  console.log(chalk.white('  /export <f.apkg> [progress]  ') + chalk.dim('- Export an Anki deck (from:cet4 etc. picks the source)'));
+  console.log(chalk.white('  /import <file> [policy]      ') + chalk.dim('- Import words from .csv, .tsv or .json (skip, overwrite, merge)'));
+  console.log(chalk.white('  /learn [tag:x]  ') + chalk.dim('or') + chalk.white('  /l         ') + chalk.dim('- Start learning (Notebooks, CET-4, CET-6, courses)'));
   console.log(chalk.white('  /progress       ') + chalk.dim('or') + chalk.white('  /p         ') + chalk.dim('- View learning progress'));
-  console.log(chalk.white('  /history                     ') + chalk.dim('- Show search history'));
+  console.log(chalk.white('  /history [filter]            ') + chalk.dim('- Search history (today, week, cet6, clear)'));
+  console.log(chalk.white('  /cache [clear|prune|<word>]  ') + chalk.dim('- Inspect or clear the lookup cache'));
+  console.log(chalk.white('  /offline [on|off]            ') + chalk.dim('- Toggle offline mode (ECDICT + cache only)'));
   console.log(chalk.white('  /clear          ') + chalk.dim('or') + chalk.white('  /c         ') + chalk.dim('- Clear screen'));
   console.log(chalk.white('  /help           ') + chalk.dim('or') + chalk.white('  /h         ') + chalk.dim('- Show this help'));
   console.log(chalk.white('  /exit           ') + chalk.dim('or') + chalk.white('  /q         ') + chalk.dim('- Exit'));
   console.log();
   console.log(chalk.dim('Tip: Type any word directly to search (no command needed)'));
+  console.log(chalk.dim('     Type Chinese (e.g. 例子) to find English words by meaning'));
   console.log();
 }
 
@@ -122,30 +369,224 @@ export function displaySelectionPrompt(count, showOnline = false) {
   }
 }
 
-export function displayWordActions(inNotebook) {
-  if (inNotebook) {
-    console.log(chalk.cyan('[R]emove from notebook'));
-  } else {
-    console.log(chalk.cyan('[S]ave to notebook'));
+/**
+ * Display the actions available in the word view
+ * @param {boolean} inNotebook - Whether the word is saved
+ * @param {Object} options - { moreCount, familyCount, relatedCount } for the [M], [F] and number actions
+ */
+export function displayWordActions(inNotebook, { moreCount = 0, familyCount = 0, relatedCount = 0 } = {}) {
+  const actions = inNotebook
+    ? ['[R]emove from notebook', '[T]ags', '[E]dit notes']
+    : ['[S]ave to notebook (S <tags> to tag)'];
+  if (relatedCount > 0) {
+    actions.push(`[1-${relatedCount}] Related word`);
+  }
+  if (familyCount > 0) {
+    actions.push(`[F]amily (${familyCount})`);
+  }
+  if (moreCount > 0) {
+    actions.push(`[M]ore matches (${moreCount})`);
   }
+  console.log(chalk.cyan(actions.join('  ')));
 }
 
-export function displayNotebookList(words) {
+/**
+ * Display a one-line word family summary in the word view
+ * @param {string} base - Base form
+ * @param {Array<object>} members - Family index entries
+ */
+export function displayWordFamilyLine(base, members) {
+  if (members.length === 0) return;
+
+  const shown = members.slice(0, 6).map(m => m.word).join(', ');
+  const more = members.length > 6 ? ', ...' : '';
+  console.log(chalk.dim('Word family: ') + chalk.white(`${base} → ${shown}${more}`));
+  console.log();
+}
+
+/**
+ * Display a word family with Chinese glosses and exam tags
+ * @param {string} base - Base form
+ * @param {Array<object>} members - Family index entries
+ * @param {Set<string>} saved - Lowercase words already in the notebook
+ */
+export function displayWordFamily(base, members, saved) {
+  console.log();
+  console.log(chalk.cyan(`━━━ Word Family: ${base} (${members.length}) ━━━`));
+  members.forEach((member, i) => {
+    const gloss = getShortGloss(member).substring(0, 30);
+    const tags = member.tag
+      .split(/\s+/)
+      .filter(tag => tag && getTagName(tag) !== tag)
+      .map(tag => chalk.blue(`[${getTagName(tag)}]`))
+      .join(' ');
+    const mark = saved.has(member.key) ? chalk.green(' ✓') : '';
+    console.log(chalk.white(`  ${i + 1}. ${member.word}`) + mark + chalk.dim(` - ${gloss}`) + (tags ? ` ${tags}` : ''));
+  });
+  console.log();
+  console.log(chalk.cyan(`Select [1-${members.length}]  [A] Save whole family  [B]ack`));
+}
+
+/**
+ * Display the words of a notebook
+ * @param {Array<Object>} words - Notebook words (already filtered by tags)
+ * @param {string} name - Notebook name
+ * @param {string[]} tags - Tag filter in effect
+ * @returns {boolean} - True if any words were listed
+ */
+export function displayNotebookList(words, name = 'Notebook', tags = []) {
+  const filter = tags.length > 0 ? ` tagged ${tags.map(tag => `#${tag}`).join(' ')}` : '';
   if (words.length === 0) {
-    console.log(chalk.yellow('\nYour notebook is empty. Search and save some words!\n'));
+    const message = filter ? `No words in "${name}"${filter}` : `"${name}" is empty. Search and save some words!`;
+    console.log(chalk.yellow(`\n${message}\n`));
     return false;
   }
 
-  console.log(chalk.cyan(`\n━━━ Notebook (${words.length} words) ━━━`));
+  console.log(chalk.cyan(`\n━━━ ${name}${filter} (${words.length} words) ━━━`));
   words.forEach((w, i) => {
-    // Prefer Chinese translation for preview
-    const preview = (w.definitions[0]?.meaningZh || w.definitions[0]?.meaning || '').substring(0, 40);
-    console.log(chalk.white(`  ${i + 1}. ${w.word}`) + chalk.dim(` - ${preview}...`));
+    // Prefer the learner's own meaning, then the Chinese translation, for preview
+    const preview = (w.gloss || w.definitions[0]?.meaningZh || w.definitions[0]?.meaning || '').substring(0, 40);
+    const marker = !w.gloss && w.definitions[0]?.machineTranslated ? chalk.dim.italic(' (machine-translated)') : '';
+    const userTags = formatUserTags(w.userTags);
+    console.log(chalk.white(`  ${i + 1}. ${w.word}`) + chalk.dim(` - ${preview}...`) + marker +
+                (userTags ? ` ${userTags}` : ''));
   });
   console.log();
   return true;
 }
 
+/**
+ * Display the tags used in a notebook
+ * @param {Array<{tag: string, count: number}>} tagCounts - From notebook.getTagCounts()
+ * @param {string} name - Notebook name
+ */
+export function displayTagCounts(tagCounts, name) {
+  console.log();
+  if (tagCounts.length === 0) {
+    console.log(chalk.yellow(`No tagged words in "${name}"`));
+    console.log(chalk.dim('Tag a word from its word view with [T]ags, or save it with S <tags>'));
+    console.log();
+    return;
+  }
+
+  console.log(chalk.cyan(`━━━ Tags in ${name} ━━━`));
+  for (const { tag, count } of tagCounts) {
+    console.log(chalk.magenta(`  #${tag}`) + chalk.dim(` (${count} words)`));
+  }
+  console.log();
+  console.log(chalk.dim('/notebook tag:<tag> to list, /learn tag:<tag> to study'));
+  console.log();
+}
+
+/**
+ * Display the tag editing prompt for a saved word
+ * @param {string} word - The word
+ * @param {string[]} tags - Current user tags
+ * @param {string[]} suggested - Suggested tags (from exam tags)
+ */
+export function displayTagPrompt(word, tags, suggested) {
+  console.log();
+  console.log(chalk.white(`Tags for "${word}": `) + (formatUserTags(tags) || chalk.dim('none')));
+  if (suggested.length > 0) {
+    console.log(chalk.dim(`Suggested: ${suggested.join(' ')}`));
+  }
+  console.log(chalk.cyan('Enter tags to add, -tag to remove, or [Enter] to go back'));
+}
+
+const NOTE_FIELD_LABELS = {
+  gloss: 'Meaning',
+  mnemonic: 'Mnemonic',
+  note: 'Note'
+};
+
+/**
+ * Display the personal notes menu of a saved word
+ * @param {Object} saved - Notebook entry
+ * @param {string[]} fields - Personal text fields, in menu order (examples come last)
+ */
+export function displayNotesMenu(saved, fields) {
+  console.log();
+  console.log(chalk.cyan(`━━━ My Notes: ${saved.word} ━━━`));
+  fields.forEach((field, i) => {
+    const value = saved[field] ? chalk.white(saved[field]) : chalk.dim('(empty)');
+    console.log(chalk.white(`  [${i + 1}] ${NOTE_FIELD_LABELS[field].padEnd(10)}`) + value);
+  });
+
+  const examples = saved.userExamples || [];
+  console.log(chalk.white(`  [${fields.length + 1}] ${'Examples'.padEnd(10)}`) +
+              (examples.length > 0 ? chalk.white(`${examples.length}`) : chalk.dim('(none)')));
+  examples.forEach((example, i) => {
+    console.log(chalk.dim(`      ${i + 1}. ${example.en}`) + (example.zh ? chalk.dim(` | ${example.zh}`) : ''));
+  });
+  console.log();
+  console.log(chalk.cyan(`[1-${fields.length + 1}] Edit  [B]ack`));
+}
+
+/**
+ * Display the input prompt for a personal field
+ * @param {string} field - Field name, or 'examples'
+ */
+export function displayNoteInputPrompt(field) {
+  if (field === 'examples') {
+    console.log(chalk.cyan('Type a sentence (add " | 翻译" for a translation), -N to delete example N, or [Enter] to go back'));
+  } else {
+    console.log(chalk.cyan(`Type the new ${NOTE_FIELD_LABELS[field].toLowerCase()}, "-" to clear it, or [Enter] to keep it`));
+  }
+}
+
+/**
+ * Display all notebooks, marking the active one
+ * @param {Array<Object>} notebooks - From notebook.getNotebooks()
+ */
+export function displayNotebooks(notebooks) {
+  console.log();
+  console.log(chalk.cyan('━━━ Notebooks ━━━'));
+  for (const notebook of notebooks) {
+    const mark = notebook.active ? chalk.green('* ') : '  ';
+    console.log(mark + chalk.white(notebook.name) + chalk.dim(` (${notebook.count} words)`));
+  }
+  console.log();
+  console.log(chalk.dim('/notebook new|use|rename|delete <name>, /notebook copy|move <word> <notebook>'));
+  console.log();
+}
+
+/**
+ * Display lookup cache statistics
+ * @param {Object} stats - Statistics from getCacheStats()
+ * @param {number} translationCount - Cached sentence translations
+ */
+export function displayCacheStats(stats, translationCount = 0) {
+  console.log();
+  console.log(chalk.cyan('━━━ Lookup Cache ━━━'));
+  console.log(chalk.white(`Cached words: ${stats.total}`) + '  ' +
+              chalk.yellow(`Expired: ${stats.expired}`) + '  ' +
+              chalk.dim(`TTL: ${stats.ttlDays} days`));
+  console.log(chalk.white(`Translated sentences: ${translationCount}`) + chalk.dim('  (kept permanently)'));
+  console.log(chalk.white(`Size on disk: ${(stats.sizeBytes / 1024).toFixed(1)} KB`));
+  if (stats.oldest) {
+    console.log(chalk.dim(`Oldest: ${stats.oldest.slice(0, 10)}  Newest: ${stats.newest.slice(0, 10)}`));
+  }
+  console.log();
+  console.log(chalk.dim('/cache <word> to inspect, /cache clear [word] to invalidate, /cache prune to drop expired'));
+  console.log();
+}
+
+/**
+ * Display the cache record of a single word
+ * @param {string} word - The word
+ * @param {Object|null} info - Record info from getCacheInfo() or null
+ */
+export function displayCacheInfo(word, info) {
+  if (!info) {
+    console.log(chalk.yellow(`"${word}" is not cached`));
+    return;
+  }
+
+  const status = info.expired ? chalk.yellow('expired') : chalk.green('fresh');
+  console.log(chalk.white(`"${info.word}" cached ${info.cachedAt.slice(0, 10)} `) + status);
+  console.log(chalk.dim(`  Examples: ${info.exampleCount}${info.hasEntry ? '  Online entry: yes' : ''}`));
+}
+
 /**
  * Display learning statistics with progress bars
  * @param {Object} stats - Statistics object from notebook.getLearningStats()
@@ -238,9 +679,15 @@ export function displayFlashcardBack(wordEntry, current, total) {
   console.log(chalk.bold.white(`${wordEntry.word}  `) + chalk.yellow(wordEntry.pronunciation || ''));
   console.log(chalk.cyan('─'.repeat(40)));
 
+  // The learner's own meaning comes first; dictionary meanings are dimmed under it
+  displayOwnGloss(wordEntry);
   for (const def of wordEntry.definitions) {
-    const meaning = def.meaningZh || def.meaning || '';
-    console.log(chalk.green(`[${def.partOfSpeech}] `) + chalk.white(meaning));
+    const meaning = wordEntry.gloss ? chalk.dim(def.meaningZh || def.meaning || '') : formatMeaning(def);
+    console.log(chalk.green(`[${def.partOfSpeech}] `) + meaning);
+  }
+  if (wordEntry.mnemonic || wordEntry.note) {
+    console.log();
+    displayPersonalNotes(wordEntry, { examples: false });
   }
 
   // Display examples automatically
@@ -253,6 +700,38 @@ export function displayFlashcardBack(wordEntry, current, total) {
               chalk.cyan('[4] Easy'));
 }
 
+/**
+ * Format a definition's meaning, Chinese preferred, marking machine translations
+ * @param {Object} def - Definition with meaningZh/meaning
+ * @returns {string} - Colored text
+ */
+function formatMeaning(def) {
+  const meaning = chalk.white(def.meaningZh || def.meaning || '');
+  return def.machineTranslated ? meaning + chalk.dim.italic(' (machine-translated)') : meaning;
+}
+
+/**
+ * Display one example sentence with its translation (or a marker if missing) and source
+ * @param {Object|string} example - {en, zh, source, generated} or a plain sentence
+ */
+function displayExample(example) {
+  // Handle both formats: {en, zh} or just string
+  if (typeof example === 'string') {
+    console.log(chalk.white(`  • ${example}`));
+    return;
+  }
+
+  const source = example.source
+    ? chalk.dim(` — ${example.source}${example.generated ? ' (AI-generated)' : ''}`)
+    : '';
+  console.log(chalk.white(`  • ${example.en}`) + source);
+  if (example.zh) {
+    console.log(chalk.gray(`    ${example.zh}`));
+  } else {
+    console.log(chalk.dim.italic('    (translation unavailable)'));
+  }
+}
+
 /**
  * Display examples for a word entry
  * @param {Object} wordEntry - Word entry with definitions containing examples
@@ -262,19 +741,22 @@ export function displayExamples(wordEntry) {
   console.log(chalk.cyan('━━━ Examples ━━━'));
   let hasExamples = false;
 
+  // The learner's own sentences first
+  if (wordEntry.userExamples?.length > 0) {
+    hasExamples = true;
+    console.log(chalk.green('[mine]'));
+    for (const example of wordEntry.userExamples) {
+      displayExample(example);
+    }
+    console.log();
+  }
+
   for (const def of wordEntry.definitions) {
     if (def.examples && def.examples.length > 0) {
       hasExamples = true;
       console.log(chalk.green(`[${def.partOfSpeech}]`));
       for (const example of def.examples) {
-        if (typeof example === 'string') {
-          console.log(chalk.white(`  • ${example}`));
-        } else {
-          console.log(chalk.white(`  • ${example.en}`));
-          if (example.zh) {
-            console.log(chalk.gray(`    ${example.zh}`));
-          }
-        }
+        displayExample(example);
       }
       console.log();
     }
@@ -342,39 +824,218 @@ export function displayNoWordsToLearn() {
 
 /**
  * Display course selection menu for /learn command
- * @param {number} notebookCount - Number of words in notebook
- * @param {boolean} cet4Available - Whether CET-4 word list is extracted
- * @param {boolean} cet6Available - Whether CET-6 word list is extracted
+ * Choices are listed in order (notebooks, custom courses, then CET-4 and CET-6) under their keys
+ * @param {Array<Object>} choices - { kind: 'notebook', name, count, active }, { kind: 'cet', category, available }
+ *   or { kind: 'course', name, count }, each with its key
+ * @param {string[]} tags - Tag scope of notebook sessions
  */
-export function displayLearnCourseMenu(notebookCount, cet4Available, cet6Available) {
+export function displayLearnCourseMenu(choices, tags = []) {
+  const filter = tags.length > 0 ? ` (${tags.map(tag => `#${tag}`).join(' ')})` : '';
   console.log();
-  console.log(chalk.cyan('━━━ Select Course ━━━'));
+  console.log(chalk.cyan(`━━━ Select Course${filter} ━━━`));
   console.log();
 
-  // Option 1: Notebook
-  const notebookStatus = notebookCount > 0
-    ? chalk.dim(` (${notebookCount} words)`)
-    : chalk.dim(' (empty)');
-  console.log(chalk.white('  [1] My Notebook') + notebookStatus);
+  choices.forEach(choice => {
+    let label;
+    let status;
+    if (choice.kind === 'notebook') {
+      label = choice.name + (choice.active ? chalk.green(' *') : '');
+      status = choice.count > 0 ? ` (${choice.count} words)` : ' (empty)';
+    } else if (choice.kind === 'cet') {
+      label = `${choice.category === 'cet4' ? 'CET-4' : 'CET-6'} Vocabulary`;
+      status = choice.available ? ' (ready)' : ' (not extracted)';
+    } else {
+      label = choice.name;
+      status = ` (${choice.count} words)`;
+    }
+    console.log(chalk.white(`  [${choice.key}] ${label}`) + chalk.dim(status));
+  });
 
-  // Option 2: CET-4
-  const cet4Status = cet4Available
-    ? chalk.dim(' (ready)')
-    : chalk.dim(' (not extracted)');
-  console.log(chalk.white('  [2] CET-4 Vocabulary') + cet4Status);
+  const lastKey = Math.max(...choices.map(choice => parseInt(choice.key)));
+  console.log();
+  console.log(chalk.cyan(`[1-${lastKey}] Select  [B]ack`));
+}
+
+// ==================== Text Analysis UI ====================
 
-  // Option 3: CET-6
-  const cet6Status = cet6Available
-    ? chalk.dim(' (ready)')
-    : chalk.dim(' (not extracted)');
-  console.log(chalk.white('  [3] CET-6 Vocabulary') + cet6Status);
+const WORD_CLASS_LABELS = {
+  mastered: 'Mastered',
+  notebook: 'In notebook',
+  basic: 'Basic',
+  cet4: 'CET-4',
+  cet6: 'CET-6',
+  above: 'Above CET-6'
+};
 
+/**
+ * Color a coverage percentage (98%+ is comfortable reading)
+ * @param {number} share - Coverage from 0 to 1
+ * @returns {string}
+ */
+function formatCoverage(share) {
+  const percent = `${(share * 100).toFixed(1)}%`;
+  if (share >= 0.98) return chalk.green(percent);
+  if (share >= 0.9) return chalk.yellow(percent);
+  return chalk.red(percent);
+}
+
+/**
+ * Display a text analysis report and the words to learn
+ * @param {Object} analysis - Result of analyzeText() or analyzeSubtitles()
+ * @param {Array<Object>} words - Words to list (level and harder)
+ * @param {number} totalUnknown - Number of words to learn in the whole text
+ * @param {string} label - File name or 'pasted text'
+ * @param {Object} options - { title, level, course } where course offers [C]reate course
+ * @returns {boolean} - True if any words were listed
+ */
+export function displayAnalysis(analysis, words, totalUnknown, label, { title = 'Text Analysis', level = 'cet4', course = false } = {}) {
+  console.log();
+  console.log(chalk.cyan(`━━━ ${title}: ${label} ━━━`));
+
+  if (analysis.tokenCount === 0) {
+    console.log(chalk.yellow('No English words found.'));
+    console.log();
+    return false;
+  }
+
+  const distinct = analysis.words.length;
+  console.log(chalk.white(`Tokens: ${analysis.tokenCount}  Distinct words: ${distinct}`) +
+              (analysis.skipped > 0 ? chalk.dim(`  (${analysis.skipped} names or unknown tokens skipped)`) : ''));
+  console.log(chalk.white('You know ') + formatCoverage(analysis.coverage) + chalk.white(' of tokens') +
+              chalk.dim(` (${(analysis.notebookCoverage * 100).toFixed(1)}% counting notebook words)`));
+  console.log();
+
+  for (const [name, label] of Object.entries(WORD_CLASS_LABELS)) {
+    const { tokens, words: count } = analysis.classes[name];
+    if (count === 0) continue;
+    console.log(chalk.white(`  ${label.padEnd(12)}`) +
+                chalk.dim(`${String(count).padStart(5)} words ${String(tokens).padStart(6)} tokens`));
+  }
+  console.log();
+
+  if (words.length === 0) {
+    const levelName = level === 'above' ? WORD_CLASS_LABELS[level] : `${WORD_CLASS_LABELS[level]} or harder`;
+    console.log(chalk.green(`No new ${levelName} words in this text.`));
+    console.log();
+    return false;
+  }
+
+  const shown = words.length < totalUnknown ? ` (showing ${words.length} of ${totalUnknown})` : '';
+  console.log(chalk.cyan(`Words to learn${shown}:`));
+  words.forEach((word, i) => {
+    const gloss = word.gloss.replace(/^[a-z]+\.\s*/, '');
+    console.log(chalk.white(`  ${String(i + 1).padStart(2)}. ${word.word}`) +
+                chalk.blue(` [${WORD_CLASS_LABELS[word.class]}]`) +
+                chalk.dim(` ×${word.count}`) +
+                (word.time ? chalk.dim(` ${word.time}`) : '') +
+                chalk.gray(` ${gloss.substring(0, 30)}`));
+  });
   console.log();
-  console.log(chalk.cyan('[1-3] Select  [B]ack'));
+  console.log(chalk.cyan('Enter numbers to add (e.g. 1 3 5-8), [A]dd all listed, or [B]ack'));
+  if (course) {
+    console.log(chalk.cyan(`[C]reate a course from all ${totalUnknown} words, or C with numbers (e.g. c 1-10)`));
+  }
+  return true;
 }
 
 // ==================== CET Learning UI ====================
 
+/**
+ * Display the result of creating or extending a course
+ * @param {string} name - Course name
+ * @param {number} added - Words added
+ * @param {number} total - Words in the course
+ */
+export function displayCourseCreated(name, added, total) {
+  const extra = added < total ? chalk.dim(` (${total} words in course)`) : '';
+  console.log(chalk.green(`✓ Added ${added} words to course "${name}"`) + extra);
+  console.log(chalk.dim('Study it from /learn'));
+  console.log();
+}
+
+/**
+ * Display the result of an export
+ * @param {number} count - Words written
+ * @param {string} path - File written
+ * @param {string[]} tags - Tag filters applied
+ */
+export function displayExported(count, path, tags = []) {
+  const filter = tags.length > 0 ? chalk.magenta(` ${tags.map(tag => `#${tag}`).join(' ')}`) : '';
+  console.log(chalk.green(`✓ Exported ${count} words`) + filter + chalk.green(` to ${path}`));
+  console.log();
+}
+
+/**
+ * Display the columns of a word file and the fields they import into
+ * @param {string} fileName - File name
+ * @param {string[]} columns - Column names
+ * @param {string[][]} rows - Data rows (the first one is shown as a sample)
+ * @param {Object} mapping - Column index keyed by field name
+ */
+export function displayImportPreview(fileName, columns, rows, mapping) {
+  console.log();
+  console.log(chalk.cyan(`━━━ Import: ${fileName} (${rows.length} rows) ━━━`));
+
+  const sample = rows[0] || [];
+  const width = Math.min(Math.max(...columns.map(column => column.length)), 20);
+  columns.forEach((column, index) => {
+    const fields = Object.keys(mapping).filter(field => mapping[field] === index);
+    const target = fields.length > 0 ? chalk.green(`→ ${fields.join(', ')}`) : chalk.dim('(not imported)');
+    const value = (sample[index] || '').substring(0, 30);
+    const number = `[${index + 1}]`.padEnd(String(columns.length).length + 2);
+    console.log(chalk.white(`  ${number} ${column.substring(0, 20).padEnd(width)}  `) + chalk.dim(value.padEnd(32)) + target);
+  });
+
+  console.log();
+  if (mapping.meaning === undefined && mapping.definition === undefined) {
+    console.log(chalk.dim('No meaning column: definitions will come from ECDICT'));
+  } else {
+    console.log(chalk.dim('Words without a meaning get their definitions from ECDICT'));
+  }
+  console.log(chalk.cyan('[Enter] Import  field=column to change (e.g. meaning=3 note=-)  [B]ack'));
+}
+
+/**
+ * Display import progress on one line, ending it once all rows are read
+ * @param {number} current - Rows read
+ * @param {number} total - Total rows
+ */
+export function displayImportProgress(current, total) {
+  process.stdout.write(`\r${chalk.dim(`Reading rows... ${current.toLocaleString()}/${total.toLocaleString()}`)}`);
+  if (current === total) console.log();
+}
+
+/**
+ * Display the duplicate policy prompt of an import
+ * @param {number} count - Imported words already in the notebook
+ * @param {string} notebookName - Active notebook
+ */
+export function displayImportDuplicatePrompt(count, notebookName) {
+  console.log();
+  console.log(chalk.yellow(`${count} of these words are already in "${notebookName}"`));
+  console.log(chalk.cyan('[S]kip them  [O]verwrite them  [M]erge (keep progress, add tags and notes)  [B]ack'));
+}
+
+/**
+ * Display the result of an import
+ * @param {{added: number, skipped: number, overwritten: number, merged: number}} result - Counts
+ * @param {string[]} notFound - Words left out for lack of definitions
+ * @param {string} notebookName - Notebook imported into
+ */
+export function displayImportResult(result, notFound, notebookName) {
+  const parts = [`${result.added} added`];
+  if (result.overwritten > 0) parts.push(`${result.overwritten} overwritten`);
+  if (result.merged > 0) parts.push(`${result.merged} merged`);
+  if (result.skipped > 0) parts.push(`${result.skipped} skipped`);
+
+  console.log(chalk.green(`✓ Imported into "${notebookName}": ${parts.join(', ')}`));
+  if (notFound.length > 0) {
+    const shown = notFound.slice(0, 10).join(', ') + (notFound.length > 10 ? ', ...' : '');
+    console.log(chalk.yellow(`${notFound.length} words have no definitions in the file or ECDICT: `) + chalk.dim(shown));
+  }
+  console.log();
+}
+
 /**
  * Display extraction confirmation prompt
  * @param {string} category - 'cet4' or 'cet6'
@@ -411,12 +1072,11 @@ export function displayExtractComplete(category, count) {
 }
 
 /**
- * Display CET learning menu with statistics
- * @param {string} category - 'cet4' or 'cet6'
+ * Display CET or course learning menu with statistics
+ * @param {string} displayName - Category display name (e.g. 'CET-4' or a course name)
  * @param {Object} stats - Statistics from getLearningStats()
  */
-export function displayCETMenu(category, stats) {
-  const displayName = category.toUpperCase();
+export function displayCETMenu(displayName, stats) {
   console.log();
   console.log(chalk.cyan(`━━━ ${displayName} Learning ━━━`));
   console.log(chalk.white(`Total: ${stats.total.toLocaleString()}`) + '  ' +
@@ -479,23 +1139,16 @@ export function displayCETFlashcardBack(wordEntry, current, total) {
   console.log(chalk.cyan(`━━━ Word ${current} of ${total} ━━━`));
   console.log(chalk.bold.white(`${wordEntry.word}  `) + chalk.yellow(wordEntry.pronunciation || ''));
 
-  // Show Collins and Oxford badges
-  const badges = [];
-  if (wordEntry.collins > 0) {
-    badges.push(chalk.magenta(`Collins: ${'★'.repeat(wordEntry.collins)}`));
-  }
-  if (wordEntry.oxford) {
-    badges.push(chalk.blue('Oxford 3000'));
-  }
-  if (badges.length > 0) {
-    console.log(badges.join('  '));
+  // Show Collins, Oxford and frequency badges
+  const importance = formatImportance(wordEntry);
+  if (importance) {
+    console.log(importance);
   }
 
   console.log(chalk.cyan('─'.repeat(40)));
 
   for (const def of wordEntry.definitions) {
-    const meaning = def.meaningZh || def.meaning || '';
-    console.log(chalk.green(`[${def.partOfSpeech}] `) + chalk.white(meaning));
+    console.log(chalk.green(`[${def.partOfSpeech}] `) + formatMeaning(def));
   }
 
   // Display examples automatically
@@ -538,19 +1191,28 @@ function displayCategoryStats(name, stats) {
 
 /**
  * Display unified learning progress summary across all data sources
- * @param {Object} notebookStats - Statistics from notebook.getLearningStats()
+ * @param {Array<{name: string, stats: Object}>} notebookStats - Statistics of each notebook
  * @param {Object|null} cet4Stats - Statistics from getCETLearningStats('cet4') or null
  * @param {Object|null} cet6Stats - Statistics from getCETLearningStats('cet6') or null
+ * @param {Array<{name: string, stats: Object}>} courseStats - Statistics of custom courses
  */
-export function displayProgressSummary(notebookStats, cet4Stats, cet6Stats) {
+export function displayProgressSummary(notebookStats, cet4Stats, cet6Stats, courseStats = []) {
   console.log();
   console.log(chalk.cyan('━━━ Learning Progress Summary ━━━'));
   console.log();
 
+  const categories = [
+    ...notebookStats,
+    ...(cet4Stats ? [{ name: 'CET-4', stats: cet4Stats }] : []),
+    ...(cet6Stats ? [{ name: 'CET-6', stats: cet6Stats }] : []),
+    ...courseStats
+  ];
+
   // Calculate totals
-  const total = notebookStats.total + (cet4Stats?.total || 0) + (cet6Stats?.total || 0);
-  const mastered = notebookStats.byLevel[5] + (cet4Stats?.byLevel[5] || 0) + (cet6Stats?.byLevel[5] || 0);
-  const newWords = notebookStats.byLevel[0] + (cet4Stats?.byLevel[0] || 0) + (cet6Stats?.byLevel[0] || 0);
+  const sum = field => categories.reduce((n, { stats }) => n + field(stats), 0);
+  const total = sum(stats => stats.total);
+  const mastered = sum(stats => stats.byLevel[5]);
+  const newWords = sum(stats => stats.byLevel[0]);
   const inProgress = total - mastered - newWords;
   const masteredPercent = total > 0 ? Math.round((mastered / total) * 100) : 0;
 
@@ -570,20 +1232,230 @@ export function displayProgressSummary(notebookStats, cet4Stats, cet6Stats) {
   console.log();
 
   // Category breakdown
-  displayCategoryStats('Notebook', notebookStats);
-  if (cet4Stats) displayCategoryStats('CET-4', cet4Stats);
-  if (cet6Stats) displayCategoryStats('CET-6', cet6Stats);
+  for (const { name, stats } of categories) displayCategoryStats(name, stats);
 
   // Due today summary
-  const totalDue = notebookStats.dueToday + (cet4Stats?.dueToday || 0) + (cet6Stats?.dueToday || 0);
+  const totalDue = sum(stats => stats.dueToday);
   console.log(chalk.cyan('─── Due Today ───'));
   if (totalDue === 0) {
     console.log(chalk.green('All caught up! No words due for review.'));
   } else {
     console.log(chalk.white(`Total due: ${totalDue} words`));
-    if (notebookStats.dueToday > 0) console.log(chalk.dim(`  Notebook: ${notebookStats.dueToday}`));
-    if (cet4Stats?.dueToday > 0) console.log(chalk.dim(`  CET-4: ${cet4Stats.dueToday}`));
-    if (cet6Stats?.dueToday > 0) console.log(chalk.dim(`  CET-6: ${cet6Stats.dueToday}`));
+    for (const { name, stats } of categories) {
+      if (stats.dueToday > 0) console.log(chalk.dim(`  ${name}: ${stats.dueToday}`));
+    }
+  }
+  console.log();
+}
+
+// ==================== Word Comparison UI ====================
+
+const COMPARE_LABEL_WIDTH = 11;
+const COMPARE_MIN_COLUMN = 18;
+
+/**
+ * Get the terminal display width of a character (CJK and fullwidth take 2 columns)
+ * @param {string} char - Single character
+ * @returns {number}
+ */
+function charWidth(char) {
+  return /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1;
+}
+
+/**
+ * Get the terminal display width of a string
+ * @param {string} text - Plain text
+ * @returns {number}
+ */
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) width += charWidth(char);
+  return width;
+}
+
+/**
+ * Wrap colored tokens into lines no wider than width
+ * Tokens are joined by spaces; { newline: true } starts a new line
+ * @param {Array<{text: string, color: Function}|{newline: true}>} tokens - Cell tokens
+ * @param {number} width - Column width
+ * @returns {Array<{text: string, width: number}>} - Colored lines with their plain widths
+ */
+function wrapTokens(tokens, width) {
+  const lines = [];
+  let line = '';
+  let lineWidth = 0;
+
+  const flush = () => {
+    lines.push({ text: line, width: lineWidth });
+    line = '';
+    lineWidth = 0;
+  };
+
+  for (const token of tokens) {
+    if (token.newline) {
+      if (lineWidth > 0) flush();
+      continue;
+    }
+
+    const tokenWidth = textWidth(token.text);
+    const gap = lineWidth > 0 ? 1 : 0;
+
+    // Move the whole token to the next line if it fits there
+    if (lineWidth + gap + tokenWidth > width && lineWidth > 0 && tokenWidth <= width) {
+      flush();
+    }
+
+    // Break tokens longer than a line by characters
+    let chunk = '';
+    let chunkWidth = 0;
+    for (const char of token.text) {
+      const w = charWidth(char);
+      const sep = lineWidth > 0 && chunk === '' ? 1 : 0;
+      if (lineWidth + sep + chunkWidth + w > width) {
+        line += (lineWidth > 0 ? ' ' : '') + token.color(chunk);
+        lineWidth += (lineWidth > 0 ? 1 : 0) + chunkWidth;
+        flush();
+        chunk = '';
+        chunkWidth = 0;
+      }
+      chunk += char;
+      chunkWidth += w;
+    }
+    if (chunk) {
+      const sep = lineWidth > 0 ? 1 : 0;
+      line += (sep ? ' ' : '') + token.color(chunk);
+      lineWidth += sep + chunkWidth;
+    }
+  }
+
+  if (lineWidth > 0) flush();
+  return lines;
+}
+
+/**
+ * Split a Chinese meaning into terms for comparison
+ * @param {string} meaning - E.g. "影响, 感动, 假装"
+ * @returns {string[]}
+ */
+function splitTerms(meaning) {
+  return meaning.split(/[,，;；]\s*/).map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Build the comparison rows: label plus tokens for each word
+ * Items not shared by every word are highlighted
+ * @param {Array<Object>} entries - Word entries
+ * @returns {Array<{label: string, cells: Array<Array<Object>>}>}
+ */
+function buildComparisonRows(entries) {
+  const same = chalk.white;
+  const diff = chalk.yellow;
+
+  const sharedBy = sets => item => sets.every(set => set.has(item));
+  const posSets = entries.map(e => new Set(e.definitions.map(d => d.partOfSpeech)));
+  const termSets = entries.map(e => new Set(e.definitions.flatMap(d => splitTerms(d.meaningZh || d.meaning || ''))));
+  const tagSets = entries.map(e => new Set(e.tags || []));
+  const isSharedPos = sharedBy(posSets);
+  const isSharedTerm = sharedBy(termSets);
+  const isSharedTag = sharedBy(tagSets);
+
+  // The most frequent word (lowest corpus rank) is highlighted
+  const ranks = entries.map(e => e.frq || e.bnc || Infinity);
+  const bestRank = Math.min(...ranks);
+
+  return [
+    {
+      label: 'Word',
+      cells: entries.map(e => [{ text: e.word, color: chalk.bold.white }])
+    },
+    {
+      label: 'Phonetic',
+      cells: entries.map(e => [{ text: e.pronunciation || '-', color: chalk.yellow }])
+    },
+    {
+      label: 'POS',
+      cells: entries.map(e => e.definitions.map(d => ({
+        text: d.partOfSpeech,
+        color: isSharedPos(d.partOfSpeech) ? same : diff
+      })))
+    },
+    {
+      label: 'Meaning',
+      cells: entries.map(e => e.definitions.flatMap(d => [
+        { text: `[${d.partOfSpeech}]`, color: chalk.green },
+        ...splitTerms(d.meaningZh || d.meaning || '').map(term => ({
+          text: term,
+          color: isSharedTerm(term) ? same : diff
+        })),
+        { newline: true }
+      ]))
+    },
+    {
+      label: 'Tags',
+      cells: entries.map(e => (e.tags || []).length > 0
+        ? e.tags.map(tag => ({ text: `[${tag}]`, color: isSharedTag(tag) ? chalk.blue : diff }))
+        : [{ text: '-', color: chalk.dim }])
+    },
+    {
+      label: 'Frequency',
+      cells: entries.map((e, i) => {
+        const band = getFrequencyBand(e);
+        if (!band) return [{ text: '-', color: chalk.dim }];
+        const color = ranks[i] === bestRank && entries.length > 1 ? chalk.green : same;
+        return [{ text: `#${ranks[i].toLocaleString()}`, color }, { text: `(${band})`, color: chalk.dim }];
+      })
+    },
+    {
+      label: 'Collins',
+      cells: entries.map(e => [{ text: e.collins > 0 ? '★'.repeat(e.collins) : '-', color: chalk.magenta }])
+    },
+    {
+      label: 'Example',
+      cells: entries.map(e => {
+        const example = e.definitions.flatMap(d => d.examples || []).find(ex => ex.en);
+        if (!example) return [{ text: '-', color: chalk.dim }];
+        const tokens = example.en.split(/\s+/).map(text => ({ text, color: same }));
+        if (example.zh) {
+          tokens.push({ newline: true }, { text: example.zh, color: chalk.gray });
+        }
+        return tokens;
+      })
+    }
+  ];
+}
+
+/**
+ * Display two or more words side by side in aligned columns
+ * Meanings, parts of speech and tags that differ are highlighted
+ * @param {Array<Object>} entries - Word entries to compare
+ */
+export function displayComparison(entries) {
+  const terminalWidth = process.stdout.columns || 100;
+  const separator = chalk.cyan(' │ ');
+  const columnWidth = Math.max(
+    COMPARE_MIN_COLUMN,
+    Math.floor((terminalWidth - COMPARE_LABEL_WIDTH - 3 * entries.length) / entries.length)
+  );
+  const rule = chalk.cyan('─'.repeat(COMPARE_LABEL_WIDTH + (columnWidth + 3) * entries.length));
+
+  console.log();
+  console.log(chalk.cyan(`━━━ Compare: ${entries.map(e => e.word).join(' vs ')} ━━━`));
+
+  for (const row of buildComparisonRows(entries)) {
+    const columns = row.cells.map(tokens => wrapTokens(tokens, columnWidth));
+    const height = Math.max(1, ...columns.map(lines => lines.length));
+
+    for (let i = 0; i < height; i++) {
+      const label = i === 0 ? row.label : '';
+      const cells = columns.map(lines => {
+        const line = lines[i] || { text: '', width: 0 };
+        return line.text + ' '.repeat(Math.max(0, columnWidth - line.width));
+      });
+      console.log(chalk.dim(label.padEnd(COMPARE_LABEL_WIDTH)) + separator + cells.join(separator));
+    }
+    console.log(rule);
   }
+
+  console.log(chalk.dim('Highlighted: not shared by all words (green frequency = most common)'));
   console.log();
 }
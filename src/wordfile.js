@@ -0,0 +1,506 @@
+/**
+ * Word list files - CSV, TSV and JSON import and export of notebook words
+ * JSON keeps every stored field; CSV and TSV flatten a word into one spreadsheet row
+ */
+
+import { extname } from 'path';
+import { lookupWord } from './ecdict.js';
+import { parseTags, PERSONAL_FIELDS } from './notebook.js';
+import { LEVEL_NAMES } from './learn.js';
+
+export const WORD_FILE_FORMATS = ['csv', 'tsv', 'json'];
+
+// Separates several values (definitions, examples) inside one spreadsheet cell
+const LIST_SEPARATOR = ' | ';
+
+// Learning state columns, in export order
+const LEARNING_FIELDS = ['level', 'easeFactor', 'interval', 'reviewCount', 'correctCount', 'lastReviewedAt', 'nextReviewAt'];
+const LEARNING_NUMBERS = ['level', 'easeFactor', 'interval', 'reviewCount', 'correctCount'];
+
+// Spreadsheet columns written by exportWords()
+const EXPORT_COLUMNS = [
+  'word', 'pronunciation', 'meaning', 'definition', 'examples', 'examplesZh',
+  'tags', 'exam', ...PERSONAL_FIELDS, 'myExamples', 'myExamplesZh',
+  ...LEARNING_FIELDS, 'source', 'addedAt'
+];
+
+// Rows between import progress updates
+const IMPORT_PROGRESS_STEP = 100;
+
+// Fields a column can be mapped to on import, with the header names that select them
+// (compared lowercase, without spaces, dashes and underscores)
+export const IMPORT_FIELDS = {
+  word: ['word', 'english', 'term', 'headword', 'vocabulary', '单词', '英文', '词汇'],
+  pronunciation: ['pronunciation', 'phonetic', 'ipa', 'phonetics', '音标'],
+  meaning: ['meaning', 'meaningzh', 'chinese', 'translation', '释义', '中文', '词义', '意思'],
+  definition: ['definition', 'englishdefinition', 'english meaning', '英文释义'],
+  examples: ['examples', 'example', 'sentence', '例句'],
+  examplesZh: ['exampleszh', 'examplezh', 'sentencezh', '例句翻译'],
+  tags: ['tags', 'tag', 'usertags', '标签'],
+  exam: ['exam', 'examtags', '考试'],
+  gloss: ['gloss', 'mymeaning'],
+  mnemonic: ['mnemonic', '助记'],
+  note: ['note', 'notes', '笔记', '备注'],
+  myExamples: ['myexamples'],
+  myExamplesZh: ['myexampleszh'],
+  ...Object.fromEntries(LEARNING_FIELDS.map(field => [field, [field.toLowerCase()]])),
+  source: ['source'],
+  addedAt: ['addedat']
+};
+
+// ==================== Format helpers ====================
+
+/**
+ * Get the word file format of a path from its extension
+ * @param {string} path - File path
+ * @returns {string} - 'csv', 'tsv' or 'json'
+ */
+export function getWordFileFormat(path) {
+  const format = extname(path).slice(1).toLowerCase();
+  if (!WORD_FILE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported file type: ${extname(path) || path}. Use .${WORD_FILE_FORMATS.join(', .')}`);
+  }
+  return format;
+}
+
+/**
+ * Quote a CSV cell when it contains a comma, quote or line break
+ * @param {string} value - Cell text
+ * @returns {string}
+ */
+function quoteCsvCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Write rows as delimited text
+ * TSV cells cannot hold tabs or line breaks, so those become spaces
+ * @param {string[][]} rows - Rows of cells
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string}
+ */
+function writeDelimited(rows, format) {
+  const formatCell = format === 'csv'
+    ? quoteCsvCell
+    : value => value.replace(/[\t\r\n]+/g, ' ');
+  const delimiter = format === 'csv' ? ',' : '\t';
+  return rows.map(row => row.map(cell => formatCell(String(cell ?? ''))).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse delimited text, honouring quoted cells ("a, b" and "say ""hi""")
+ * @param {string} content - CSV or TSV text
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {string[][]} - Rows of cells (blank lines dropped)
+ */
+function parseDelimited(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(c => c.trim()))
+    .filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Split a spreadsheet cell holding several values
+ * @param {string} value - Cell text
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '').split('|').map(s => s.trim()).filter(Boolean);
+}
+
+// ==================== Export ====================
+
+/**
+ * Flatten a notebook word into a spreadsheet row
+ * @param {Object} word - Notebook word
+ * @returns {Object} - Cells keyed by EXPORT_COLUMNS
+ */
+function toRow(word) {
+  const definitions = word.definitions || [];
+  const examples = definitions.flatMap(def => def.examples || []);
+  const userExamples = word.userExamples || [];
+  const learning = word.learning || {};
+
+  const row = {
+    word: word.word,
+    pronunciation: word.pronunciation || '',
+    meaning: definitions.filter(def => def.meaningZh).map(def => `${def.partOfSpeech}. ${def.meaningZh}`).join(LIST_SEPARATOR),
+    definition: definitions.filter(def => def.meaning).map(def => `${def.partOfSpeech}. ${def.meaning}`).join(LIST_SEPARATOR),
+    examples: examples.map(example => example.en).join(LIST_SEPARATOR),
+    examplesZh: examples.map(example => example.zh || '').join(LIST_SEPARATOR),
+    tags: (word.userTags || []).join(' '),
+    exam: (word.tags || []).join(' '),
+    myExamples: userExamples.map(example => example.en).join(LIST_SEPARATOR),
+    myExamplesZh: userExamples.map(example => example.zh || '').join(LIST_SEPARATOR),
+    source: word.source || '',
+    addedAt: word.addedAt || ''
+  };
+
+  for (const field of PERSONAL_FIELDS) {
+    row[field] = word[field] || '';
+  }
+  for (const field of LEARNING_FIELDS) {
+    row[field] = learning[field] ?? '';
+  }
+  return row;
+}
+
+/**
+ * Write notebook words as a word file
+ * @param {Array<Object>} words - Notebook words
+ * @param {string} format - 'csv', 'tsv' or 'json'
+ * @param {string} notebookName - Notebook the words come from (JSON only)
+ * @returns {string} - File content
+ */
+export function exportWords(words, format, notebookName = '') {
+  if (format === 'json') {
+    const data = { notebook: notebookName, exportedAt: new Date().toISOString(), words };
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  const rows = words.map(toRow).map(row => EXPORT_COLUMNS.map(column => row[column]));
+  // BOM so spreadsheet apps open the Chinese text as UTF-8
+  return '\uFEFF' + writeDelimited([EXPORT_COLUMNS, ...rows], format);
+}
+
+// ==================== Import ====================
+
+/**
+ * Normalize a column header for matching against IMPORT_FIELDS
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Find the import field a column header names
+ * @param {string} header - Column header
+ * @returns {string|null} - Field name or null
+ */
+function getHeaderField(header) {
+  const key = headerKey(header);
+  const field = Object.entries(IMPORT_FIELDS).find(([, names]) => names.some(name => headerKey(name) === key));
+  return field ? field[0] : null;
+}
+
+/**
+ * Read a word file into columns and rows
+ * Delimited files have a header row if its cells name the word field and at least one
+ * other import field; otherwise columns are numbered, so a plain word list starting
+ * with "word" or "note" keeps that word. JSON may be our export (full entries), an array
+ * of flat objects (keys become columns) or an array of words.
+ * @param {string} content - File content
+ * @param {string} format - 'csv', 'tsv' or 'json'
+ * @returns {{columns: string[], rows: string[][], entries: Array<Object>|null}}
+ *   entries is set instead of rows for JSON exported by this app
+ */
+export function parseWordFile(content, format) {
+  const text = content.replace(/^\uFEFF/, '');
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(data) ? data : data?.words;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON must be an array of words or an object with a "words" array');
+    }
+
+    if (items.every(item => typeof item === 'string')) {
+      return { columns: ['word'], rows: items.map(word => [word.trim()]).filter(row => row[0]), entries: null };
+    }
+    if (items.every(item => item && typeof item.word === 'string' && Array.isArray(item.definitions))) {
+      return { columns: [], rows: [], entries: items };
+    }
+
+    const columns = [...new Set(items.flatMap(item => Object.keys(item || {})))];
+    const rows = items.map(item => columns.map(column => {
+      const value = item?.[column];
+      if (value === undefined || value === null) return '';
+      return Array.isArray(value) ? value.join(' ') : String(value);
+    }));
+    return { columns, rows, entries: null };
+  }
+
+  const rows = parseDelimited(text, format === 'csv' ? ',' : '\t');
+  if (rows.length === 0) {
+    return { columns: [], rows: [], entries: null };
+  }
+
+  const width = Math.max(...rows.map(row => row.length));
+  const headerFields = new Set(rows[0].map(getHeaderField).filter(Boolean));
+  if (headerFields.has('word') && headerFields.size > 1) {
+    return { columns: rows[0], rows: rows.slice(1), entries: null };
+  }
+
+  const columns = Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  return { columns, rows, entries: null };
+}
+
+/**
+ * Guess which column holds each import field
+ * Headers are matched by name; without headers the first column is the word,
+ * a column of /.../ is the pronunciation and a column with Chinese is the meaning
+ * @param {string[]} columns - Column names
+ * @param {string[][]} rows - Data rows
+ * @returns {Object} - Column index keyed by field name
+ */
+export function guessColumnMapping(columns, rows) {
+  const mapping = {};
+
+  columns.forEach((column, index) => {
+    const field = getHeaderField(column);
+    if (field && mapping[field] === undefined) {
+      mapping[field] = index;
+    }
+  });
+
+  if (Object.keys(mapping).length > 0 || columns.length === 0) {
+    return mapping;
+  }
+
+  const sample = rows.slice(0, 20);
+  const columnMatches = (index, pattern) =>
+    sample.some(row => row[index]) && sample.every(row => !row[index] || pattern.test(row[index]));
+
+  mapping.word = 0;
+  for (let i = 1; i < columns.length; i++) {
+    if (mapping.pronunciation === undefined && columnMatches(i, /^\/.*\/$|^\[.*\]$/)) {
+      mapping.pronunciation = i;
+    } else if (mapping.meaning === undefined && columnMatches(i, /[\u4e00-\u9fff]/)) {
+      mapping.meaning = i;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Apply a mapping typed by the user, e.g. "word=1 meaning=3 note=-"
+ * Columns are numbered from 1 or named by header; "-" unmaps a field
+ * @param {Object} mapping - Current mapping (not changed)
+ * @param {string} input - Assignments separated by spaces or commas
+ * @param {string[]} columns - Column names
+ * @returns {Object} - New mapping
+ */
+export function applyColumnMapping(mapping, input, columns) {
+  const next = { ...mapping };
+  const fieldNames = Object.keys(IMPORT_FIELDS);
+
+  for (const assignment of input.split(/[\s,]+/).filter(Boolean)) {
+    const match = assignment.match(/^([^=]+)=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid mapping: ${assignment}. Use field=column, e.g. meaning=3`);
+    }
+
+    const field = fieldNames.find(name => name.toLowerCase() === match[1].toLowerCase()) || getHeaderField(match[1]);
+    if (!field) {
+      throw new Error(`Unknown field: ${match[1]}. Fields: ${fieldNames.join(', ')}`);
+    }
+
+    if (match[2] === '-') {
+      delete next[field];
+      continue;
+    }
+
+    const index = /^\d+$/.test(match[2])
+      ? parseInt(match[2]) - 1
+      : columns.findIndex(column => headerKey(column) === headerKey(match[2]));
+    if (index < 0 || index >= columns.length) {
+      throw new Error(`No column ${match[2]} (1-${columns.length})`);
+    }
+    next[field] = index;
+  }
+
+  if (next.word === undefined) {
+    throw new Error('The word field must be mapped to a column');
+  }
+  return next;
+}
+
+/**
+ * Parse a meaning or definition cell into definitions
+ * Each "|"-separated part may start with a part of speech ("n. 苹果 | v. 苹果化")
+ * @param {string} value - Cell text
+ * @param {string} key - 'meaningZh' or 'meaning'
+ * @returns {Array<{partOfSpeech: string, text: string}>}
+ */
+function parseMeaningCell(value, key) {
+  return splitList(value).map(part => {
+    const match = part.match(/^([a-z]+)\.\s*(.+)$/i);
+    return match
+      ? { partOfSpeech: match[1].toLowerCase(), [key]: match[2] }
+      : { partOfSpeech: 'other', [key]: part };
+  });
+}
+
+/**
+ * Build definitions from mapped meaning, definition and example cells
+ * Examples go to the first definition
+ * @param {Object} cells - Mapped cells keyed by field name
+ * @returns {Array<Object>} - Definitions (empty if the row has no meaning or definition)
+ */
+function buildDefinitions(cells) {
+  const byPartOfSpeech = new Map();
+  for (const def of [...parseMeaningCell(cells.meaning, 'meaningZh'), ...parseMeaningCell(cells.definition, 'meaning')]) {
+    const current = byPartOfSpeech.get(def.partOfSpeech) || { partOfSpeech: def.partOfSpeech, meaning: '', meaningZh: '', examples: [] };
+    byPartOfSpeech.set(def.partOfSpeech, { ...current, ...def });
+  }
+
+  const definitions = [...byPartOfSpeech.values()];
+  if (definitions.length > 0) {
+    definitions[0].examples = buildExamples(cells.examples, cells.examplesZh);
+  }
+  return definitions;
+}
+
+/**
+ * Pair example sentences with their translations
+ * @param {string} sentences - "|"-separated English sentences
+ * @param {string} translations - "|"-separated translations, in the same order
+ * @returns {Array<{en: string, zh: string}>}
+ */
+function buildExamples(sentences, translations) {
+  const zh = (translations || '').split('|').map(s => s.trim());
+  return splitList(sentences).map((en, i) => ({ en, zh: zh[i] || '' }));
+}
+
+/**
+ * Read learning state cells, leaving out empty and invalid values
+ * @param {Object} cells - Mapped cells keyed by field name
+ * @returns {Object} - Partial learning state
+ */
+function buildLearning(cells) {
+  const learning = {};
+
+  for (const field of LEARNING_FIELDS) {
+    const value = cells[field];
+    if (!value) continue;
+
+    if (LEARNING_NUMBERS.includes(field)) {
+      const number = parseFloat(value);
+      if (!Number.isNaN(number)) learning[field] = number;
+    } else if (!Number.isNaN(Date.parse(value))) {
+      learning[field] = new Date(value).toISOString();
+    }
+  }
+
+  if (learning.level !== undefined) {
+    learning.level = Math.min(Math.max(Math.round(learning.level), 0), LEVEL_NAMES.length - 1);
+  }
+  return learning;
+}
+
+/**
+ * Turn mapped rows into notebook words, filling missing definitions from ECDICT
+ * Only rows without definitions or pronunciation are looked up (about 30ms each);
+ * those also get exam tags and frequency data from ECDICT
+ * @param {string[][]} rows - Data rows
+ * @param {Object} mapping - Column index keyed by field name
+ * @param {Function} [onProgress] - Callback(current, total) every IMPORT_PROGRESS_STEP rows
+ * @returns {{words: Array<Object>, notFound: string[]}} - Words to import, and words with
+ *   no definitions in the file or ECDICT (left out)
+ */
+export function buildImportedWords(rows, mapping, onProgress) {
+  const words = new Map();
+  const notFound = [];
+
+  rows.forEach((row, i) => {
+    if (onProgress && i % IMPORT_PROGRESS_STEP === 0) onProgress(i, rows.length);
+
+    const cells = Object.fromEntries(
+      Object.entries(mapping).map(([field, index]) => [field, (row[index] || '').trim()])
+    );
+    const word = cells.word;
+    if (!word || words.has(word.toLowerCase())) return;
+
+    const definitions = buildDefinitions(cells);
+    const dictionaryEntry = definitions.length === 0 || !cells.pronunciation ? lookupWord(word) : null;
+    if (definitions.length === 0 && !dictionaryEntry) {
+      notFound.push(word);
+      return;
+    }
+
+    const item = {
+      ...(dictionaryEntry || {}),
+      word,
+      pronunciation: cells.pronunciation || dictionaryEntry?.pronunciation || '',
+      tags: cells.exam ? cells.exam.split(/\s+/) : dictionaryEntry?.tags || [],
+      definitions: definitions.length > 0 ? definitions : dictionaryEntry.definitions,
+      userTags: parseTags(cells.tags || ''),
+      learning: buildLearning(cells),
+      source: cells.source || undefined,
+      addedAt: cells.addedAt && !Number.isNaN(Date.parse(cells.addedAt)) ? new Date(cells.addedAt).toISOString() : undefined
+    };
+
+    if (definitions.length === 0 && cells.examples) {
+      item.definitions = item.definitions.map((def, i) =>
+        i === 0 ? { ...def, examples: buildExamples(cells.examples, cells.examplesZh) } : def
+      );
+    }
+    for (const field of PERSONAL_FIELDS) {
+      if (cells[field]) item[field] = cells[field];
+    }
+    const userExamples = buildExamples(cells.myExamples, cells.myExamplesZh);
+    if (userExamples.length > 0) item.userExamples = userExamples;
+
+    words.set(word.toLowerCase(), item);
+  });
+
+  if (onProgress) onProgress(rows.length, rows.length);
+  return { words: [...words.values()], notFound };
+}
+
+export default {
+  getWordFileFormat,
+  exportWords,
+  parseWordFile,
+  guessColumnMapping,
+  applyColumnMapping,
+  buildImportedWords,
+  WORD_FILE_FORMATS,
+  IMPORT_FIELDS
+};
@@ -0,0 +1,27 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The corpus directory is read when the module loads
+const dir = mkdtempSync(join(tmpdir(), 'word-learner-corpus-'));
+writeFileSync(join(dir, 'building.txt'), 'The constructor of the building finished the roof in May.\n');
+process.env.WORD_CORPUS_DIR = dir;
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('indexes words that are Object.prototype names', async () => {
+  const { findCorpusExamples } = await import('../src/corpus.js');
+
+  assert.deepEqual(findCorpusExamples('teacher'), []);
+  assert.equal(findCorpusExamples('constructor').length, 1);
+  assert.deepEqual(findCorpusExamples('toString'), []);
+});
+
+test('reloads a saved index with the same words', async () => {
+  // A fresh module instance reads data/corpus.json written by the test above
+  const { findCorpusExamples } = await import('../src/corpus.js?reload');
+
+  assert.equal(findCorpusExamples('constructor')[0].en, 'The constructor of the building finished the roof in May.');
+  assert.deepEqual(findCorpusExamples('toString'), []);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFindQuery } from '../src/search.js';
+
+const compile = pattern => parseFindQuery([pattern]).regex;
+
+test('rejects regexes that backtrack badly over the headword index', () => {
+  for (const pattern of ['/.*.*.*.*.*.*.*1/', '/(a+)+$/', '/(a|aa)*/', '/a+*/', '/a.*b.*c.*d/', '/a?b?c?d?/']) {
+    assert.throws(() => compile(pattern), Error, pattern);
+  }
+});
+
+test('accepts everyday regexes', () => {
+  for (const pattern of ['/^ab+c?$/', '/(ab)+/', '/[a-z]+ing$/', '/^(un|re)do$/', '/^a.*b.*c$/', '/colou?r/', '/^.{3}$/']) {
+    assert.doesNotThrow(() => compile(pattern), pattern);
+  }
+  assert.ok(compile('/^a.*b.*c$/').test('abacus-bc'));
+});
+
+test('collapses runs of wildcards', () => {
+  const regex = compile('*?*?*x');
+  assert.equal(regex.source, "^[a-z][a-z][a-z'-]*x$");
+  assert.ok(regex.test('abx'));
+  assert.ok(!regex.test('ax'));
+  assert.ok(compile('*tion').test('nation'));
+});
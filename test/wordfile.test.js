@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWordFile } from '../src/wordfile.js';
+
+test('reads a header row that names the word and another field', () => {
+  const { columns, rows } = parseWordFile('Word,Meaning\napple,苹果\n', 'csv');
+  assert.deepEqual(columns, ['Word', 'Meaning']);
+  assert.deepEqual(rows, [['apple', '苹果']]);
+});
+
+test('keeps the first word of a list without headers', () => {
+  for (const first of ['word', 'note', 'example', 'source']) {
+    const { columns, rows } = parseWordFile(`${first}\napple\n`, 'csv');
+    assert.deepEqual(columns, ['Column 1']);
+    assert.deepEqual(rows.map(row => row[0]), [first, 'apple']);
+  }
+
+  const { rows } = parseWordFile('note\t笔记\nwork\t工作\n', 'tsv');
+  assert.equal(rows[0][0], 'note');
+});